@@ -24,7 +24,7 @@ class BaseNode {
         // 可视化相关属性
         this.color = options.color || null;
         this.expanded = options.expanded !== undefined ? options.expanded : true;
-        this.value = options.value || 1;
+        this.value = options.value !== undefined && options.value !== null ? options.value : 1;
         
         // 创建时间戳
         this.createdAt = options.createdAt || new Date().toISOString();
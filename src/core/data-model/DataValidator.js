@@ -2,6 +2,12 @@
  * 数据验证器
  * 验证节点数据和导入导出数据的有效性
  */
+import { DocumentMigrations } from './DocumentMigrations.js';
+import { DOCUMENT_SCHEMA } from './DocumentSchema.js';
+
+// 按JSON Schema检查时最多报告的错误数
+const MAX_SCHEMA_ERRORS = 20;
+
 class DataValidator {
     /**
      * 创建数据验证器
@@ -136,6 +142,16 @@ class DataValidator {
         };
     }
     
+    /**
+     * 只验证节点的部分字段（修改已有节点时使用，不检查未修改的ID等字段）
+     * @param {Object} fields - 要修改的字段
+     * @returns {Object} 验证结果 { isValid: boolean, errors: Array, warnings: Array }
+     */
+    validateNodeFields(fields) {
+        // 未修改的必填字段用占位值代替，按整个节点的规则检查
+        return this.validateNode({ id: 'placeholder_node', name: '占位', ...fields, children: [] }, true);
+    }
+    
     /**
      * 验证树数据
      * @param {Object} treeData - 树数据
@@ -207,9 +223,11 @@ class DataValidator {
     /**
      * 验证导入数据
      * @param {Object} importData - 导入数据
+     * @param {Object} options - 验证选项
+     * @param {boolean} options.remapIds - 导入时会重新生成缺失或无效的ID（并重建parentId），这些问题不再作为错误
      * @returns {Object} 验证结果
      */
-    validateImportData(importData) {
+    validateImportData(importData, options = {}) {
         const errors = [];
         const warnings = [];
         
@@ -224,12 +242,14 @@ class DataValidator {
             return { isValid: false, errors, warnings };
         }
         
-        // 检查版本兼容性
-        if (importData.version) {
-            const version = importData.version;
-            if (!this.isVersionCompatible(version)) {
-                warnings.push(`数据版本(${version})可能与当前应用不兼容`);
-            }
+        // 检查版本兼容性：更新版本的文件无法加载，旧版本的文件加载时自动升级
+        const versionResult = DocumentMigrations.check(DocumentMigrations.getVersion(importData));
+        if (!versionResult.compatible) {
+            errors.push(versionResult.error);
+            return { isValid: false, errors, warnings };
+        }
+        if (versionResult.steps.length > 0) {
+            warnings.push(`文件版本较旧，加载时将依次升级: ${versionResult.steps.join('；')}`);
         }
         
         // 检查应用标识
@@ -237,6 +257,18 @@ class DataValidator {
             warnings.push(`数据来自其他应用: ${importData.application}`);
         }
         
+        // 按升级后的数据检查
+        importData = DocumentMigrations.migrate(importData).document;
+        
+        // 校验前用占位ID代替会被重新生成的ID，避免逐个节点报错
+        if (options.remapIds && Array.isArray(importData.rootNodes)) {
+            const { treeData, invalidIds } = this.withPlaceholderIds(importData);
+            importData = treeData;
+            if (invalidIds > 0) {
+                warnings.push(`${invalidIds}个节点的ID格式无效，导入时将重新生成`);
+            }
+        }
+        
         // 验证实际数据
         if (importData.data) {
             const dataResult = this.validateTree(importData.data);
@@ -255,6 +287,11 @@ class DataValidator {
             errors.push('导入数据缺少有效的树结构');
         }
         
+        // 结构检查通过后，再按JSON Schema检查字段类型
+        if (errors.length === 0) {
+            this.validateSchema(importData).forEach(error => errors.push(error));
+        }
+        
         return {
             isValid: errors.length === 0,
             errors,
@@ -262,17 +299,130 @@ class DataValidator {
         };
     }
     
+    /**
+     * 复制树数据，把缺失或格式无效的节点ID换成占位ID，并按层级重建parentId
+     * @param {Object} treeData - 树数据
+     * @returns {Object} { treeData: 副本, invalidIds: 格式无效（不含缺失）的ID数量 }
+     */
+    withPlaceholderIds(treeData) {
+        let counter = 0;
+        let invalidIds = 0;
+        
+        const copy = (node, parentId) => {
+            if (!node || typeof node !== 'object') return node;
+            
+            let id = node.id;
+            if (typeof id !== 'string' || !this.rules.nodeId.pattern.test(id)) {
+                if (id !== undefined && id !== null && id !== '') invalidIds++;
+                id = `placeholder_${++counter}`;
+            }
+            
+            return {
+                ...node,
+                id,
+                parentId,
+                children: Array.isArray(node.children) ? node.children.map(child => copy(child, id)) : node.children
+            };
+        };
+        
+        return {
+            treeData: { ...treeData, rootNodes: treeData.rootNodes.map(root => copy(root, null)) },
+            invalidIds
+        };
+    }
+    
+    /**
+     * 按JSON Schema检查数据
+     * 支持文档格式用到的关键字：type、required、properties、items、$ref、pattern、minLength、maxLength、minimum、maximum
+     * @param {*} value - 数据
+     * @param {Object} schema - JSON Schema（默认为文档格式）
+     * @returns {Array<string>} 错误信息（含数据路径）
+     */
+    validateSchema(value, schema = DOCUMENT_SCHEMA) {
+        const errors = [];
+        
+        const resolve = (current) => {
+            if (!current.$ref) return current;
+            const path = current.$ref.replace(/^#\//, '').split('/');
+            return path.reduce((target, key) => target[key], schema);
+        };
+        
+        const getType = (data) => {
+            if (data === null) return 'null';
+            if (Array.isArray(data)) return 'array';
+            if (Number.isInteger(data)) return 'integer';
+            return typeof data;
+        };
+        
+        const check = (data, current, path) => {
+            if (errors.length >= MAX_SCHEMA_ERRORS) return;
+            
+            const rule = resolve(current);
+            const field = path || '文档';
+            
+            if (rule.type) {
+                const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+                const type = getType(data);
+                const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+                if (!matches) {
+                    errors.push(`${field}: 应为${allowed.join('或')}类型，实际为${type}`);
+                    return;
+                }
+            }
+            
+            if (typeof data === 'string') {
+                if (rule.minLength !== undefined && data.length < rule.minLength) {
+                    errors.push(`${field}: 长度不能小于${rule.minLength}`);
+                }
+                if (rule.maxLength !== undefined && data.length > rule.maxLength) {
+                    errors.push(this.formatError('maxLength', field, { max: rule.maxLength }));
+                }
+                if (rule.pattern && !new RegExp(rule.pattern).test(data)) {
+                    errors.push(this.formatError('pattern', field));
+                }
+            }
+            
+            if (typeof data === 'number') {
+                if (rule.minimum !== undefined && data < rule.minimum) {
+                    errors.push(this.formatError('min', field, { min: rule.minimum }));
+                }
+                if (rule.maximum !== undefined && data > rule.maximum) {
+                    errors.push(this.formatError('max', field, { max: rule.maximum }));
+                }
+            }
+            
+            if (Array.isArray(data) && rule.items) {
+                data.forEach((item, index) => check(item, rule.items, `${path}[${index}]`));
+            }
+            
+            if (getType(data) === 'object') {
+                (rule.required || []).forEach(key => {
+                    if (data[key] === undefined) {
+                        errors.push(this.formatError('required', path ? `${path}.${key}` : key));
+                    }
+                });
+                
+                Object.keys(rule.properties || {}).forEach(key => {
+                    if (data[key] !== undefined) {
+                        check(data[key], rule.properties[key], path ? `${path}.${key}` : key);
+                    }
+                });
+            }
+        };
+        
+        check(value, schema, '');
+        
+        return errors;
+    }
+    
     /**
      * 检查版本兼容性
      * @param {string} version - 版本号
      * @returns {boolean} 是否兼容
      */
     isVersionCompatible(version) {
-        // 简单版本检查：主版本号相同则兼容
-        const currentMajor = '1'; // 当前主版本
-        const importMajor = version.split('.')[0];
-        
-        return importMajor === currentMajor;
+        // 不高于当前版本，且存在升级到当前版本的迁移路径
+        return DocumentMigrations.check(version).compatible;
     }
     
     /**
@@ -492,4 +642,7 @@ class DataValidator {
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DataValidator;
-}
\ No newline at end of file
+}
+
+// ES6模块导出
+export { DataValidator };
\ No newline at end of file
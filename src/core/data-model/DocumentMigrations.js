@@ -0,0 +1,131 @@
+/**
+ * 文档迁移注册表
+ * 每个迁移把文档从一个版本升级到下一个版本，加载旧文件时从文件版本开始逐步执行，直到当前版本
+ * 比当前版本更新的文件无法可靠降级，直接报错
+ */
+import { DOCUMENT_VERSION } from './DocumentSchema.js';
+
+// 没有version字段的文件视为最早的版本
+const INITIAL_VERSION = '1.0';
+
+// 起始版本 -> 迁移定义
+const migrations = new Map();
+
+class DocumentMigrations {
+    /**
+     * 注册迁移
+     * @param {Object} migration - 迁移定义
+     * @param {string} migration.from - 起始版本
+     * @param {string} migration.to - 目标版本（必须高于起始版本）
+     * @param {string} migration.description - 说明（显示在迁移报告中）
+     * @param {Function} migration.migrate - (document) => 升级后的文档，不应修改传入的对象
+     */
+    static register(migration) {
+        if (!migration || !migration.from || !migration.to || typeof migration.migrate !== 'function') {
+            throw new Error('迁移必须包含from、to和migrate');
+        }
+        if (this.compareVersions(migration.to, migration.from) <= 0) {
+            throw new Error(`迁移的目标版本(${migration.to})必须高于起始版本(${migration.from})`);
+        }
+
+        migrations.set(migration.from, migration);
+    }
+
+    /**
+     * 比较版本号
+     * @param {string} a - 版本号
+     * @param {string} b - 版本号
+     * @returns {number} a较新时为正数，相同为0，a较旧时为负数
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * 获取文档的版本
+     * @param {Object} document - 文档
+     * @returns {string} 版本号
+     */
+    static getVersion(document) {
+        const version = document && (document.version !== undefined ? document.version : INITIAL_VERSION);
+        return String(version);
+    }
+
+    /**
+     * 检查文档版本能否加载
+     * @param {string} version - 文档版本
+     * @returns {Object} { compatible: boolean, newer: boolean, steps: Array<string>（需要执行的迁移说明）, error }
+     */
+    static check(version) {
+        if (!/^\d+(\.\d+)*$/.test(String(version))) {
+            return { compatible: false, newer: false, steps: [], error: `无法识别的文件版本: ${version}` };
+        }
+
+        if (this.compareVersions(version, DOCUMENT_VERSION) > 0) {
+            return {
+                compatible: false,
+                newer: true,
+                steps: [],
+                error: `文件版本(${version})高于当前应用支持的版本(${DOCUMENT_VERSION})，请升级应用后再打开`
+            };
+        }
+
+        const steps = [];
+        let current = String(version);
+        while (this.compareVersions(current, DOCUMENT_VERSION) < 0) {
+            const migration = migrations.get(current);
+            if (!migration) {
+                return { compatible: false, newer: false, steps, error: `不支持从版本${current}升级到${DOCUMENT_VERSION}` };
+            }
+            steps.push(`${migration.from} → ${migration.to}: ${migration.description || ''}`.trim());
+            current = migration.to;
+        }
+
+        return { compatible: true, newer: false, steps, error: null };
+    }
+
+    /**
+     * 把文档逐步升级到当前版本
+     * @param {Object} document - 文档
+     * @returns {Object} { document: 升级后的文档（带有version字段）, fromVersion, toVersion, steps: Array<string> }
+     */
+    static migrate(document) {
+        if (!document || typeof document !== 'object') {
+            throw new Error('文档必须是JSON对象');
+        }
+
+        const fromVersion = this.getVersion(document);
+        const result = this.check(fromVersion);
+        if (!result.compatible) {
+            throw new Error(result.error);
+        }
+
+        let migrated = document;
+        let current = fromVersion;
+        while (this.compareVersions(current, DOCUMENT_VERSION) < 0) {
+            const migration = migrations.get(current);
+            migrated = { ...migration.migrate(migrated), version: migration.to };
+            current = migration.to;
+        }
+
+        // 没有version字段的文件视为最早的版本，同样补上版本号
+        return { document: { ...migrated, version: current }, fromVersion, toVersion: current, steps: result.steps };
+    }
+}
+
+// 当前版本仍是最初的1.0，暂无需要注册的迁移
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentMigrations;
+}
+
+// ES6模块导出
+export { DocumentMigrations };
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * 文档格式定义
+ * TreeManager.toJSON输出的文档格式（JSON Schema draft-07）及当前版本号
+ * 修改文档字段时需要提升DOCUMENT_VERSION，并在DocumentMigrations中注册从上一版本升级的迁移
+ */
+
+// 当前文档版本（主版本.次版本）
+const DOCUMENT_VERSION = '1.0';
+
+const DOCUMENT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'sunburst-mindmap/document.schema.json',
+    title: '旭日图思维导图文档',
+    type: 'object',
+    required: ['version', 'rootNodes'],
+    properties: {
+        version: {
+            type: 'string',
+            pattern: '^\\d+\\.\\d+$',
+            description: '文档版本，旧版本在加载时逐步迁移'
+        },
+        createdAt: { type: 'string', description: '导出时间（ISO 8601）' },
+        rootNodes: {
+            type: 'array',
+            items: { $ref: '#/definitions/node' }
+        },
+        totalNodes: { type: 'integer', minimum: 0 },
+        maxDepth: { type: 'integer', minimum: 0 },
+        selectedNodeId: { type: ['string', 'null'] }
+    },
+    definitions: {
+        node: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'string', pattern: '^[a-zA-Z0-9_\\-]{8,50}$' },
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                parentId: { type: ['string', 'null'] },
+                depth: { type: 'integer', minimum: 0, maximum: 20 },
+                value: { type: 'number', minimum: 0 },
+                color: { type: ['string', 'null'] },
+                collapsed: { type: 'boolean' },
+                expanded: { type: 'boolean' },
+                priority: { type: 'number' },
+                tags: { type: 'array', items: { type: 'string' } },
+                notes: { type: 'string' },
+                data: { type: 'object' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' },
+                angleStart: { type: 'number', description: '布局缓存，加载后重新计算' },
+                angleRange: { type: 'number' },
+                radius: { type: 'number' },
+                children: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/node' }
+                }
+            }
+        }
+    }
+};
+
+// ES6模块导出
+export { DOCUMENT_VERSION, DOCUMENT_SCHEMA };
\ No newline at end of file
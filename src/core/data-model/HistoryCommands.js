@@ -0,0 +1,360 @@
+/**
+ * 历史命令
+ * 可逆的树操作命令，只保存操作涉及的差异数据，供HistoryManager撤销/重做
+ */
+import { TreeNode } from './TreeNode.js';
+
+/**
+ * 复制命令中保存的字段值，避免与节点共享引用
+ * @param {*} value - 字段值
+ * @returns {*} 副本
+ */
+function cloneValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 树操作返回false时抛出错误，使批量命令回滚、历史指针保持不动，调用方可以提示失败
+ * @param {boolean} applied - 树操作的返回值
+ * @param {string} message - 错误信息
+ */
+function assertApplied(applied, message) {
+    if (!applied) {
+        throw new Error(message);
+    }
+}
+
+class HistoryCommand {
+    /**
+     * 创建命令
+     * @param {string} type - 命令类型
+     */
+    constructor(type) {
+        this.type = type;
+    }
+
+    /**
+     * 撤销命令
+     * @param {TreeManager} treeManager - 树管理器
+     */
+    undo(treeManager) {
+        throw new Error(`命令未实现撤销: ${this.type}`);
+    }
+
+    /**
+     * 重做命令
+     * @param {TreeManager} treeManager - 树管理器
+     */
+    redo(treeManager) {
+        throw new Error(`命令未实现重做: ${this.type}`);
+    }
+
+    /**
+     * 转换为JSON（命令只包含可序列化的差异数据）
+     * @returns {Object} JSON表示
+     */
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * 从JSON创建命令
+     * @param {Object} json - JSON对象
+     * @returns {HistoryCommand} 命令实例
+     */
+    static fromJSON(json) {
+        const CommandClass = json && COMMAND_TYPES[json.type];
+        if (!CommandClass) {
+            throw new Error(`未知的历史命令类型: ${json && json.type}`);
+        }
+
+        // 批量命令需要递归还原子命令，其余命令的构造参数即JSON字段
+        return CommandClass === BatchCommand ? BatchCommand.fromJSON(json) : new CommandClass(json);
+    }
+}
+
+/**
+ * 添加节点命令（保存新增子树）
+ */
+class AddNodeCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {Object} params.nodeJson - 新增节点（含子树）的JSON
+     * @param {string|null} params.parentId - 父节点ID
+     * @param {number} params.index - 在兄弟节点中的位置
+     */
+    constructor({ nodeJson, parentId = null, index = -1 }) {
+        super('addNode');
+        this.nodeJson = nodeJson;
+        this.parentId = parentId;
+        this.index = index;
+    }
+
+    undo(treeManager) {
+        assertApplied(treeManager.deleteNode(this.nodeJson.id), `无法删除节点: ${this.nodeJson.id}`);
+    }
+
+    redo(treeManager) {
+        assertApplied(
+            treeManager.addNode(TreeNode.fromJSON(this.nodeJson), this.parentId, this.index),
+            `无法恢复节点: ${this.nodeJson.id}`
+        );
+    }
+}
+
+/**
+ * 删除节点命令（保存被删除的子树及其原位置）
+ */
+class DeleteNodeCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {Object} params.nodeJson - 被删除节点（含子树）的JSON
+     * @param {string|null} params.parentId - 原父节点ID
+     * @param {number} params.index - 原来在兄弟节点中的位置
+     */
+    constructor({ nodeJson, parentId = null, index = -1 }) {
+        super('deleteNode');
+        this.nodeJson = nodeJson;
+        this.parentId = parentId;
+        this.index = index;
+    }
+
+    undo(treeManager) {
+        assertApplied(
+            treeManager.addNode(TreeNode.fromJSON(this.nodeJson), this.parentId, this.index),
+            `无法恢复节点: ${this.nodeJson.id}`
+        );
+    }
+
+    redo(treeManager) {
+        assertApplied(treeManager.deleteNode(this.nodeJson.id), `无法删除节点: ${this.nodeJson.id}`);
+    }
+}
+
+/**
+ * 更新节点命令（只保存发生变化的字段）
+ */
+class UpdateNodeCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {string} params.nodeId - 节点ID
+     * @param {Object} params.changes - 字段变化 { 字段名: { oldValue, newValue } }
+     */
+    constructor({ nodeId, changes }) {
+        super('updateNode');
+        this.nodeId = nodeId;
+        this.changes = {};
+
+        Object.keys(changes).forEach(field => {
+            this.changes[field] = {
+                oldValue: cloneValue(changes[field].oldValue),
+                newValue: cloneValue(changes[field].newValue)
+            };
+        });
+    }
+
+    undo(treeManager) {
+        this.applyValues(treeManager, 'oldValue');
+    }
+
+    redo(treeManager) {
+        this.applyValues(treeManager, 'newValue');
+    }
+
+    /**
+     * 将变更前或变更后的字段值原样写回节点（记录的值不再重新清理和验证，避免被截断或拒绝）
+     * @param {TreeManager} treeManager - 树管理器
+     * @param {string} key - 'oldValue' 或 'newValue'
+     */
+    applyValues(treeManager, key) {
+        const values = {};
+        Object.keys(this.changes).forEach(field => {
+            values[field] = this.changes[field][key];
+        });
+
+        assertApplied(treeManager.updateNode(this.nodeId, values, { raw: true }), `无法恢复节点数据，节点不存在: ${this.nodeId}`);
+    }
+}
+
+/**
+ * 移动节点命令（保存新旧父节点和位置）
+ */
+class MoveNodeCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {string} params.nodeId - 节点ID
+     * @param {string|null} params.oldParentId - 原父节点ID
+     * @param {number} params.oldIndex - 原位置
+     * @param {string|null} params.newParentId - 新父节点ID
+     * @param {number} params.newIndex - 新位置
+     */
+    constructor({ nodeId, oldParentId = null, oldIndex = -1, newParentId = null, newIndex = -1 }) {
+        super('moveNode');
+        this.nodeId = nodeId;
+        this.oldParentId = oldParentId;
+        this.oldIndex = oldIndex;
+        this.newParentId = newParentId;
+        this.newIndex = newIndex;
+    }
+
+    undo(treeManager) {
+        assertApplied(treeManager.moveNode(this.nodeId, this.oldParentId, this.oldIndex), `无法移动节点: ${this.nodeId}`);
+    }
+
+    redo(treeManager) {
+        assertApplied(treeManager.moveNode(this.nodeId, this.newParentId, this.newIndex), `无法移动节点: ${this.nodeId}`);
+    }
+}
+
+/**
+ * 子节点排序命令（保存新旧顺序）
+ */
+class ReorderChildrenCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {string|null} params.parentId - 父节点ID
+     * @param {Array<string>} params.oldOrder - 原顺序
+     * @param {Array<string>} params.newOrder - 新顺序
+     */
+    constructor({ parentId = null, oldOrder, newOrder }) {
+        super('reorderChildren');
+        this.parentId = parentId;
+        this.oldOrder = [...oldOrder];
+        this.newOrder = [...newOrder];
+    }
+
+    undo(treeManager) {
+        assertApplied(treeManager.reorderChildren(this.parentId, this.oldOrder), '无法恢复子节点的顺序');
+    }
+
+    redo(treeManager) {
+        assertApplied(treeManager.reorderChildren(this.parentId, this.newOrder), '无法恢复子节点的顺序');
+    }
+}
+
+/**
+ * 整树替换命令（导入、清空）
+ * 整棵树被替换时没有更小的差异可保存，因此保存替换前后的完整数据
+ */
+class LoadTreeCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {Object} params.beforeState - 替换前的树JSON
+     * @param {Object} params.afterState - 替换后的树JSON
+     */
+    constructor({ beforeState, afterState }) {
+        super('loadTree');
+        this.beforeState = beforeState;
+        this.afterState = afterState;
+    }
+
+    undo(treeManager) {
+        treeManager.loadFromJSON(this.beforeState);
+    }
+
+    redo(treeManager) {
+        treeManager.loadFromJSON(this.afterState);
+    }
+}
+
+/**
+ * 批量命令（事务），作为一个整体撤销/重做
+ */
+class BatchCommand extends HistoryCommand {
+    /**
+     * @param {Object} params - 命令参数
+     * @param {Array<HistoryCommand>} params.commands - 子命令（按执行顺序）
+     */
+    constructor({ commands = [] }) {
+        super('batch');
+        this.commands = [...commands];
+    }
+
+    undo(treeManager) {
+        // 逆序撤销；某个子命令失败时重做已撤销的部分，整体保持不变
+        let i = this.commands.length - 1;
+        try {
+            for (; i >= 0; i--) {
+                this.commands[i].undo(treeManager);
+            }
+        } catch (error) {
+            for (let j = i + 1; j < this.commands.length; j++) {
+                this.commands[j].redo(treeManager);
+            }
+            throw error;
+        }
+    }
+
+    redo(treeManager) {
+        // 某个子命令失败时撤销已重做的部分
+        let i = 0;
+        try {
+            for (; i < this.commands.length; i++) {
+                this.commands[i].redo(treeManager);
+            }
+        } catch (error) {
+            for (let j = i - 1; j >= 0; j--) {
+                this.commands[j].undo(treeManager);
+            }
+            throw error;
+        }
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            commands: this.commands.map(command => command.toJSON())
+        };
+    }
+
+    /**
+     * 从JSON创建批量命令
+     * @param {Object} json - JSON对象
+     * @returns {BatchCommand} 批量命令
+     */
+    static fromJSON(json) {
+        return new BatchCommand({
+            commands: (json.commands || []).map(commandJson => HistoryCommand.fromJSON(commandJson))
+        });
+    }
+}
+
+// 命令类型 -> 命令类
+const COMMAND_TYPES = {
+    addNode: AddNodeCommand,
+    deleteNode: DeleteNodeCommand,
+    updateNode: UpdateNodeCommand,
+    moveNode: MoveNodeCommand,
+    reorderChildren: ReorderChildrenCommand,
+    loadTree: LoadTreeCommand,
+    batch: BatchCommand
+};
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HistoryCommand,
+        AddNodeCommand,
+        DeleteNodeCommand,
+        UpdateNodeCommand,
+        MoveNodeCommand,
+        ReorderChildrenCommand,
+        LoadTreeCommand,
+        BatchCommand
+    };
+}
+
+// ES6模块导出
+export {
+    HistoryCommand,
+    AddNodeCommand,
+    DeleteNodeCommand,
+    UpdateNodeCommand,
+    MoveNodeCommand,
+    ReorderChildrenCommand,
+    LoadTreeCommand,
+    BatchCommand
+};
\ No newline at end of file
@@ -1,60 +1,242 @@
 /**
  * 历史记录管理器
- * 实现3步撤销/重做功能
+ * 以可逆命令记录树的每次变更，实现可配置步数的撤销/重做功能
+ * 撤销后执行新操作时，原重做步骤保留为备选分支，可随时跳转回去
  */
+import {
+    HistoryCommand,
+    AddNodeCommand,
+    DeleteNodeCommand,
+    UpdateNodeCommand,
+    MoveNodeCommand,
+    ReorderChildrenCommand,
+    LoadTreeCommand,
+    BatchCommand
+} from './HistoryCommands.js';
+
 class HistoryManager {
     /**
      * 创建历史记录管理器
      * @param {Object} options - 配置选项
+     * @param {number} options.maxSteps - 最大历史步骤（默认50）
+     * @param {number} options.maxBranches - 最多保留的备选分支数（默认10）
+     * @param {TreeManager} options.treeManager - 要绑定的树管理器（可选）
      */
     constructor(options = {}) {
-        this.maxSteps = options.maxSteps || 3; // 最大历史步骤
+        this.maxSteps = options.maxSteps || 50; // 最大历史步骤
+        this.maxBranches = options.maxBranches !== undefined ? options.maxBranches : 10; // 最多保留的备选分支
         this.undoStack = []; // 撤销栈
         this.redoStack = []; // 重做栈
+        this.entries = new Map(); // 所有历史步骤（含备选分支），entry.parentId指向上一步
         this.enabled = options.enabled !== false;
 
+        // 绑定的树管理器
+        this.treeManager = null;
+        this.isRestoring = false; // 正在撤销/重做，忽略树事件
+        this.treeListeners = [];
+        this.lastSelectedNodeId = null; // 最近一次记录后的选中节点
+        this.pendingTreeState = null; // 整树替换前的数据
+
+        // 进行中的批量操作（支持嵌套）
+        this.batchStack = [];
+
         // 事件系统
         this.eventListeners = new Map();
+
+        if (options.treeManager) {
+            this.bindTreeManager(options.treeManager);
+        }
+    }
+
+    /**
+     * 绑定树管理器，将其每次变更记录为命令
+     * @param {TreeManager} treeManager - 树管理器
+     */
+    bindTreeManager(treeManager) {
+        this.unbindTreeManager();
+
+        this.treeManager = treeManager;
+        this.lastSelectedNodeId = treeManager.selectedNodeId;
+
+        // 整树加载期间的逐节点事件由treeLoaded统一记录
+        const isIgnored = () => this.isRestoring || treeManager.loading;
+
+        this.listenTree('nodeAdded', ({ node, parentId, index }) => {
+            if (isIgnored()) return;
+            this.record(new AddNodeCommand({ nodeJson: node.toJSON(), parentId, index }), '添加节点');
+        });
+
+        this.listenTree('nodeDeleted', ({ node, parentId, index }) => {
+            if (isIgnored()) return;
+            this.record(new DeleteNodeCommand({ nodeJson: node.toJSON(), parentId, index }), '删除节点');
+        });
+
+        this.listenTree('nodeUpdated', ({ nodeId, changes }) => {
+            if (isIgnored() || !changes || Object.keys(changes).length === 0) return;
+            this.record(new UpdateNodeCommand({ nodeId, changes }), '编辑节点');
+        });
+
+        this.listenTree('nodeMoved', ({ nodeId, oldParentId, oldIndex, newParentId, newIndex }) => {
+            if (isIgnored()) return;
+            this.record(new MoveNodeCommand({ nodeId, oldParentId, oldIndex, newParentId, newIndex }), '移动节点');
+        });
+
+        this.listenTree('childrenReordered', ({ parentId, oldOrder, newOrder }) => {
+            if (isIgnored()) return;
+            this.record(new ReorderChildrenCommand({ parentId, oldOrder, newOrder }), '调整节点顺序');
+        });
+
+        // 整树替换没有更小的差异，保存替换前后的完整数据
+        const captureBeforeReplace = () => {
+            if (this.isRestoring) return;
+            this.pendingTreeState = treeManager.toJSON();
+        };
+        this.listenTree('treeLoading', captureBeforeReplace);
+        this.listenTree('treeClearing', captureBeforeReplace);
+
+        this.listenTree('treeLoaded', ({ action }) => {
+            if (this.isRestoring) return;
+            this.recordTreeReplace(action || '导入数据');
+        });
+
+        this.listenTree('treeCleared', () => {
+            if (isIgnored()) return;
+            this.recordTreeReplace('清空数据');
+        });
+
+        // 选中状态不构成历史步骤，但撤销/重做时需一并恢复
+        this.listenTree('selectionChanged', ({ newSelectedId }) => {
+            if (this.isRestoring) return;
+            this.lastSelectedNodeId = newSelectedId;
+        });
     }
 
     /**
-     * 记录状态快照
-     * @param {Object} state - 状态对象
+     * 解除与树管理器的绑定
+     */
+    unbindTreeManager() {
+        if (!this.treeManager) return;
+
+        this.treeListeners.forEach(({ event, listener }) => {
+            this.treeManager.off(event, listener);
+        });
+
+        this.treeListeners = [];
+        this.treeManager = null;
+        this.pendingTreeState = null;
+    }
+
+    /**
+     * 监听树管理器事件（解绑时统一移除）
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    listenTree(event, listener) {
+        this.treeManager.on(event, listener);
+        this.treeListeners.push({ event, listener });
+    }
+
+    /**
+     * 记录整树替换
      * @param {string} action - 动作描述
      */
-    record(state, action = '未知操作') {
+    recordTreeReplace(action) {
+        const beforeState = this.pendingTreeState;
+        this.pendingTreeState = null;
+
+        if (!beforeState) return;
+
+        this.record(new LoadTreeCommand({
+            beforeState,
+            afterState: this.treeManager.toJSON()
+        }), action);
+    }
+
+    /**
+     * 记录命令
+     * @param {HistoryCommand} command - 已执行的可逆命令
+     * @param {string} action - 动作描述
+     */
+    record(command, action = '未知操作') {
         if (!this.enabled) return;
 
-        // 创建快照
-        const snapshot = {
-            state: this.deepClone(state),
+        // 批量操作中的命令先收集，结束时合并为一步
+        if (this.batchStack.length > 0) {
+            this.batchStack[this.batchStack.length - 1].commands.push(command);
+            return;
+        }
+
+        this.pushEntry(command, action, this.lastSelectedNodeId);
+    }
+
+    /**
+     * 将命令作为一个历史步骤压入撤销栈
+     * @param {HistoryCommand} command - 命令
+     * @param {string} action - 动作描述
+     * @param {string|null} selectionBefore - 操作前的选中节点ID
+     */
+    pushEntry(command, action, selectionBefore) {
+        const selectionAfter = this.treeManager ? this.treeManager.selectedNodeId : null;
+        const parentEntry = this.undoStack[this.undoStack.length - 1];
+
+        const entry = {
+            command,
             action: action,
             timestamp: new Date().toISOString(),
-            id: this.generateSnapshotId()
+            id: this.generateEntryId(),
+            parentId: parentEntry ? parentEntry.id : null,
+            selectionBefore,
+            selectionAfter
         };
 
+        this.lastSelectedNodeId = selectionAfter;
+
         // 添加到撤销栈
-        this.undoStack.push(snapshot);
+        this.entries.set(entry.id, entry);
+        this.undoStack.push(entry);
 
         // 限制栈大小
         if (this.undoStack.length > this.maxSteps) {
-            this.undoStack.shift();
+            this.dropOldestEntry();
         }
 
-        // 清空重做栈（新操作后重做栈无效）
+        // 新操作后原重做步骤不再属于当前分支，保留为备选分支
         this.redoStack = [];
+        this.limitBranches();
 
         // 触发事件
         this.emit('historyRecorded', {
-            snapshot,
+            entry,
             undoCount: this.undoStack.length,
             redoCount: this.redoStack.length
         });
     }
 
+    /**
+     * 在恢复模式下执行命令，并恢复选中状态
+     * @param {Function} execute - 执行函数
+     * @param {string|null} selectedNodeId - 执行后要选中的节点ID
+     */
+    runCommand(execute, selectedNodeId) {
+        if (!this.treeManager) return;
+
+        this.isRestoring = true;
+        try {
+            // 批量步骤的逐节点修改合并为一次nodesUpdated
+            this.treeManager.runBulkUpdate(() => execute(this.treeManager));
+
+            const selection = selectedNodeId && this.treeManager.findNode(selectedNodeId) ? selectedNodeId : null;
+            this.treeManager.setSelectedNode(selection);
+        } finally {
+            this.isRestoring = false;
+        }
+
+        this.lastSelectedNodeId = this.treeManager.selectedNodeId;
+    }
+
     /**
      * 撤销操作
-     * @returns {Object|null} 恢复的状态或null
+     * @returns {Object|null} 被撤销的历史记录或null
      */
     undo() {
         if (!this.canUndo()) {
@@ -62,25 +244,21 @@ class HistoryManager {
             return null;
         }
 
-        // 从撤销栈弹出
-        const snapshot = this.undoStack.pop();
-
-        // 添加到重做栈
-        this.redoStack.push(snapshot);
+        const entry = this.stepUndo();
 
         // 触发事件
         this.emit('undoPerformed', {
-            snapshot,
+            entry,
             undoCount: this.undoStack.length,
             redoCount: this.redoStack.length
         });
 
-        return snapshot.state;
+        return entry;
     }
 
     /**
      * 重做操作
-     * @returns {Object|null} 恢复的状态或null
+     * @returns {Object|null} 被重做的历史记录或null
      */
     redo() {
         if (!this.canRedo()) {
@@ -88,20 +266,279 @@ class HistoryManager {
             return null;
         }
 
+        const entry = this.stepRedo();
+
+        // 触发事件
+        this.emit('redoPerformed', {
+            entry,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        });
+
+        return entry;
+    }
+
+    /**
+     * 撤销一步（不触发事件）
+     * 命令执行失败时步骤留在撤销栈中，并抛出错误
+     * @returns {Object} 被撤销的历史记录
+     */
+    stepUndo() {
+        // 从撤销栈弹出
+        const entry = this.undoStack.pop();
+
+        // 执行逆操作
+        try {
+            this.runCommand(treeManager => entry.command.undo(treeManager), entry.selectionBefore);
+        } catch (error) {
+            this.undoStack.push(entry);
+            throw error;
+        }
+
+        // 添加到重做栈
+        this.redoStack.push(entry);
+
+        return entry;
+    }
+
+    /**
+     * 重做一步（不触发事件）
+     * 命令执行失败时步骤留在重做栈中，并抛出错误
+     * @returns {Object} 被重做的历史记录
+     */
+    stepRedo() {
         // 从重做栈弹出
-        const snapshot = this.redoStack.pop();
+        const entry = this.redoStack.pop();
+
+        // 重新执行操作
+        try {
+            this.runCommand(treeManager => entry.command.redo(treeManager), entry.selectionAfter);
+        } catch (error) {
+            this.redoStack.push(entry);
+            throw error;
+        }
 
         // 添加回撤销栈
-        this.undoStack.push(snapshot);
+        this.undoStack.push(entry);
 
-        // 触发事件
-        this.emit('redoPerformed', {
-            snapshot,
+        return entry;
+    }
+
+    /**
+     * 跳转到任意历史步骤（可跨分支）
+     * @param {string|null} entryId - 目标步骤ID，null表示初始状态
+     * @returns {boolean} 是否跳转成功
+     */
+    jumpTo(entryId) {
+        if (!this.enabled) return false;
+
+        if (entryId !== null && !this.entries.has(entryId)) {
+            console.warn(`历史步骤不存在: ${entryId}`);
+            return false;
+        }
+
+        const targetPath = this.getEntryPath(entryId);
+        const currentLine = this.getCurrentLine();
+
+        // 目标路径与当前分支的公共部分
+        let forkIndex = 0;
+        while (forkIndex < targetPath.length && targetPath[forkIndex] === currentLine[forkIndex]) {
+            forkIndex++;
+        }
+
+        // 目标在其他分支上：先回到分叉点，再把重做栈切换为目标分支
+        if (forkIndex < targetPath.length) {
+            while (this.undoStack.length > forkIndex) this.stepUndo();
+            while (this.undoStack.length < forkIndex) this.stepRedo();
+
+            const branch = [...targetPath.slice(forkIndex), ...this.getBranchContinuation(entryId)];
+            this.redoStack = branch.reverse();
+        }
+
+        while (this.undoStack.length > targetPath.length) this.stepUndo();
+        while (this.undoStack.length < targetPath.length) this.stepRedo();
+
+        this.emit('historyJumped', {
+            entry: entryId !== null ? this.entries.get(entryId) : null,
             undoCount: this.undoStack.length,
             redoCount: this.redoStack.length
         });
 
-        return snapshot.state;
+        return true;
+    }
+
+    /**
+     * 获取从初始状态到指定步骤的路径
+     * @param {string|null} entryId - 步骤ID
+     * @returns {Array<Object>} 历史记录数组（由旧到新）
+     */
+    getEntryPath(entryId) {
+        const path = [];
+        let entry = entryId !== null ? this.entries.get(entryId) : null;
+
+        while (entry) {
+            path.unshift(entry);
+            entry = entry.parentId !== null ? this.entries.get(entry.parentId) : null;
+        }
+
+        return path;
+    }
+
+    /**
+     * 获取当前分支（已执行的步骤和可重做的步骤）
+     * @returns {Array<Object>} 历史记录数组（由旧到新）
+     */
+    getCurrentLine() {
+        return [...this.undoStack, ...[...this.redoStack].reverse()];
+    }
+
+    /**
+     * 获取指定步骤的后续步骤
+     * @param {string|null} parentId - 步骤ID，null表示初始状态
+     * @returns {Array<Object>} 后续步骤（按记录时间排序）
+     */
+    getChildEntries(parentId) {
+        return [...this.entries.values()]
+            .filter(entry => entry.parentId === parentId)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * 获取分支在指定步骤之后的延续（每步取最近记录的后续步骤）
+     * @param {string|null} entryId - 步骤ID
+     * @returns {Array<Object>} 历史记录数组（由旧到新）
+     */
+    getBranchContinuation(entryId) {
+        const continuation = [];
+        let children = this.getChildEntries(entryId);
+
+        while (children.length > 0) {
+            const next = children[children.length - 1];
+            continuation.push(next);
+            children = this.getChildEntries(next.id);
+        }
+
+        return continuation;
+    }
+
+    /**
+     * 移除步骤及其所有后续步骤
+     * @param {Object} entry - 历史记录
+     */
+    removeEntrySubtree(entry) {
+        this.getChildEntries(entry.id).forEach(child => this.removeEntrySubtree(child));
+        this.entries.delete(entry.id);
+    }
+
+    /**
+     * 丢弃最早的历史步骤，从初始状态或该步骤分出的其他分支随之失效
+     */
+    dropOldestEntry() {
+        const oldest = this.undoStack.shift();
+        const next = this.undoStack[0];
+
+        [...this.getChildEntries(null), ...this.getChildEntries(oldest.id)].forEach(entry => {
+            if (entry !== oldest && entry !== next) {
+                this.removeEntrySubtree(entry);
+            }
+        });
+
+        this.entries.delete(oldest.id);
+        if (next) {
+            next.parentId = null;
+        }
+    }
+
+    /**
+     * 限制备选分支数量，超出时丢弃最早的分支
+     */
+    limitBranches() {
+        const lineIds = new Set(this.getCurrentLine().map(entry => entry.id));
+        const hasChildren = new Set([...this.entries.values()].map(entry => entry.parentId));
+
+        // 每个不在当前分支上的末端步骤代表一条备选分支
+        const branchTips = [...this.entries.values()]
+            .filter(entry => !lineIds.has(entry.id) && !hasChildren.has(entry.id))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        while (branchTips.length > this.maxBranches) {
+            let entry = branchTips.shift();
+
+            // 向上移除到分叉点为止
+            while (entry && !lineIds.has(entry.id) && this.getChildEntries(entry.id).length === 0) {
+                const parent = entry.parentId !== null ? this.entries.get(entry.parentId) : null;
+                this.entries.delete(entry.id);
+                entry = parent;
+            }
+        }
+    }
+
+    /**
+     * 获取历史时间线（用于历史面板显示）
+     * 当前分支保持在同一层级，备选分支缩进显示在分叉点下方
+     * @returns {Array<Object>} 时间线项 { id, action, timestamp, depth, isCurrent, isApplied, isOnCurrentLine }
+     */
+    getTimeline() {
+        const lineIds = new Set(this.getCurrentLine().map(entry => entry.id));
+        const appliedIds = new Set(this.undoStack.map(entry => entry.id));
+        const currentEntry = this.undoStack[this.undoStack.length - 1];
+        const currentId = currentEntry ? currentEntry.id : null;
+
+        const timeline = [{
+            id: null,
+            action: '初始状态',
+            timestamp: null,
+            depth: 0,
+            isCurrent: currentId === null,
+            isApplied: true,
+            isOnCurrentLine: true
+        }];
+
+        const visitChildren = (parentId, depth) => {
+            const children = this.getChildEntries(parentId);
+            if (children.length === 0) return;
+
+            const mainChild = children.find(child => lineIds.has(child.id)) || children[children.length - 1];
+
+            children.forEach(child => {
+                if (child !== mainChild) {
+                    visit(child, depth + 1);
+                }
+            });
+
+            visit(mainChild, depth);
+        };
+
+        const visit = (entry, depth) => {
+            timeline.push({
+                id: entry.id,
+                action: entry.action,
+                timestamp: entry.timestamp,
+                depth,
+                isCurrent: entry.id === currentId,
+                isApplied: appliedIds.has(entry.id),
+                isOnCurrentLine: lineIds.has(entry.id)
+            });
+
+            visitChildren(entry.id, depth);
+        };
+
+        visitChildren(null, 0);
+
+        return timeline;
+    }
+
+    /**
+     * 获取备选分支数量
+     * @returns {number} 备选分支数量
+     */
+    getBranchCount() {
+        const lineIds = new Set(this.getCurrentLine().map(entry => entry.id));
+        const hasChildren = new Set([...this.entries.values()].map(entry => entry.parentId));
+
+        return [...this.entries.values()]
+            .filter(entry => !lineIds.has(entry.id) && !hasChildren.has(entry.id))
+            .length;
     }
 
     /**
@@ -156,12 +593,14 @@ class HistoryManager {
         this.maxSteps = maxSteps;
 
         // 调整栈大小
-        if (this.undoStack.length > maxSteps) {
-            this.undoStack = this.undoStack.slice(-maxSteps);
+        while (this.undoStack.length > maxSteps) {
+            this.dropOldestEntry();
         }
 
         if (this.redoStack.length > maxSteps) {
+            const removed = this.redoStack.slice(0, this.redoStack.length - maxSteps);
             this.redoStack = this.redoStack.slice(-maxSteps);
+            removed.forEach(entry => this.removeEntrySubtree(entry));
         }
     }
 
@@ -191,17 +630,138 @@ class HistoryManager {
         return {
             undoStack: [...this.undoStack],
             redoStack: [...this.redoStack],
+            entries: [...this.entries.values()],
             maxSteps: this.maxSteps,
             enabled: this.enabled
         };
     }
 
+    /**
+     * 转换为JSON（用于持久化）
+     * @param {Object} options - 选项
+     * @param {number} options.maxSteps - 每个栈最多保存的步骤数（默认为maxSteps）
+     * @param {number} options.maxSize - 序列化后的最大字符数（超出时丢弃最早的步骤）
+     * @returns {Object} JSON表示
+     */
+    toJSON(options = {}) {
+        const maxSteps = options.maxSteps || this.maxSteps;
+        const maxSize = options.maxSize || Infinity;
+
+        const serializeEntry = entry => ({ ...entry, command: entry.command.toJSON() });
+        const lineIds = new Set(this.getCurrentLine().map(entry => entry.id));
+
+        const json = {
+            version: '1.0',
+            maxSteps: this.maxSteps,
+            undoStack: this.undoStack.slice(-maxSteps).map(serializeEntry),
+            redoStack: this.redoStack.slice(-maxSteps).map(serializeEntry),
+            branches: [...this.entries.values()]
+                .filter(entry => !lineIds.has(entry.id))
+                .map(serializeEntry)
+        };
+
+        // 超出大小限制时，依次丢弃备选分支、最早的撤销步骤和最远的重做步骤
+        // 每个步骤只序列化一次，丢弃时从总长度中减去（含分隔的逗号）
+        let size = maxSize === Infinity ? 0 : JSON.stringify(json).length;
+        const dropFirst = (list) => {
+            const entry = list.shift();
+            size -= JSON.stringify(entry).length + (list.length > 0 ? 1 : 0);
+        };
+
+        while (size > maxSize &&
+               (json.branches.length > 0 || json.undoStack.length > 0 || json.redoStack.length > 0)) {
+            if (json.branches.length > 0) {
+                dropFirst(json.branches);
+            } else if (json.undoStack.length > 0) {
+                dropFirst(json.undoStack);
+            } else {
+                dropFirst(json.redoStack);
+            }
+        }
+
+        return json;
+    }
+
+    /**
+     * 从JSON恢复历史记录
+     * 恢复的步骤必须对应树管理器当前加载的数据
+     * @param {Object} json - JSON数据
+     * @returns {boolean} 是否成功恢复
+     */
+    loadFromJSON(json) {
+        if (!json || !Array.isArray(json.undoStack) || !Array.isArray(json.redoStack)) {
+            console.warn('历史记录数据无效');
+            return false;
+        }
+
+        const deserializeEntry = entry => ({ ...entry, command: HistoryCommand.fromJSON(entry.command) });
+
+        let undoStack;
+        let redoStack;
+        try {
+            undoStack = json.undoStack.map(deserializeEntry);
+            redoStack = json.redoStack.map(deserializeEntry);
+        } catch (error) {
+            console.warn('无法恢复历史记录:', error);
+            return false;
+        }
+
+        let branches;
+        try {
+            branches = (json.branches || []).map(deserializeEntry);
+        } catch (error) {
+            console.warn('无法恢复历史分支:', error);
+            branches = [];
+        }
+
+        this.batchStack = [];
+        this.undoStack = undoStack.slice(-this.maxSteps);
+        this.redoStack = redoStack.slice(-this.maxSteps);
+
+        // 当前分支的起点即恢复后的初始状态；父步骤已被丢弃的分支无法再到达
+        const line = this.getCurrentLine();
+        const baseId = line.length > 0 && line[0].parentId ? line[0].parentId : null;
+        line.forEach((entry, index) => {
+            entry.parentId = index > 0 ? line[index - 1].id : baseId;
+        });
+
+        const reachableIds = new Set([baseId, ...line.map(entry => entry.id)]);
+
+        this.entries = new Map();
+        [...line, ...branches].forEach(entry => {
+            if (!reachableIds.has(entry.parentId)) return;
+
+            reachableIds.add(entry.id);
+            this.entries.set(entry.id, entry);
+        });
+
+        this.entries.forEach(entry => {
+            if (entry.parentId === baseId) {
+                entry.parentId = null;
+            }
+        });
+
+        this.lastSelectedNodeId = this.treeManager ? this.treeManager.selectedNodeId : null;
+
+        this.limitBranches();
+
+        this.emit('historyLoaded', {
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        });
+
+        return true;
+    }
+
     /**
      * 清空历史记录
      */
     clear() {
         this.undoStack = [];
         this.redoStack = [];
+        this.entries.clear();
+        this.batchStack = [];
+        this.lastSelectedNodeId = this.treeManager ? this.treeManager.selectedNodeId : null;
 
         this.emit('historyCleared');
     }
@@ -219,27 +779,11 @@ class HistoryManager {
     }
 
     /**
-     * 生成快照ID
-     * @returns {string} 快照ID
+     * 生成历史记录ID
+     * @returns {string} 历史记录ID
      */
-    generateSnapshotId() {
-        return 'snapshot_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    /**
-     * 深克隆对象
-     * @param {Object} obj - 要克隆的对象
-     * @returns {Object} 克隆的对象
-     */
-    deepClone(obj) {
-        // 简单实现，适用于JSON可序列化对象
-        try {
-            return JSON.parse(JSON.stringify(obj));
-        } catch (error) {
-            console.error('深克隆失败:', error);
-            // 回退到浅克隆
-            return { ...obj };
-        }
+    generateEntryId() {
+        return 'history_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
     /**
@@ -288,25 +832,76 @@ class HistoryManager {
     }
 
     /**
-     * 批量记录操作
-     * @param {Array} operations - 操作数组
+     * 开始批量操作，期间记录的命令在结束时合并为一个历史步骤
      * @param {string} groupName - 组名
      */
+    beginBatch(groupName = '批量操作') {
+        this.batchStack.push({
+            groupName,
+            commands: [],
+            selectionBefore: this.lastSelectedNodeId
+        });
+    }
+
+    /**
+     * 结束批量操作
+     */
+    endBatch() {
+        const batch = this.batchStack.pop();
+        if (!batch || batch.commands.length === 0) return;
+
+        const command = new BatchCommand({ commands: batch.commands });
+
+        // 嵌套的批量操作并入外层
+        if (this.batchStack.length > 0) {
+            this.batchStack[this.batchStack.length - 1].commands.push(command);
+            return;
+        }
+
+        this.pushEntry(command, `${batch.groupName} (${batch.commands.length}个操作)`, batch.selectionBefore);
+    }
+
+    /**
+     * 放弃批量操作，撤销其中已执行的命令
+     */
+    abortBatch() {
+        const batch = this.batchStack.pop();
+        if (!batch || batch.commands.length === 0) return;
+
+        const command = new BatchCommand({ commands: batch.commands });
+        this.runCommand(treeManager => command.undo(treeManager), batch.selectionBefore);
+    }
+
+    /**
+     * 批量记录操作，作为一个事务整体撤销/重做
+     * @param {Function|Array<HistoryCommand>} operations - 执行操作的函数，或已执行的命令数组
+     * @param {string} groupName - 组名
+     * @returns {*} 操作函数的返回值
+     */
     recordBatch(operations, groupName = '批量操作') {
-        if (!this.enabled || !operations || operations.length === 0) return;
+        if (typeof operations === 'function') {
+            if (!this.enabled) {
+                return operations();
+            }
 
-        const batchSnapshot = {
-            state: {
-                operations: this.deepClone(operations),
-                groupName: groupName
-            },
-            action: `${groupName} (${operations.length}个操作)`,
-            timestamp: new Date().toISOString(),
-            id: this.generateSnapshotId(),
-            isBatch: true
-        };
+            this.beginBatch(groupName);
+
+            let result;
+            try {
+                result = operations();
+            } catch (error) {
+                // 中途失败时回滚已执行的部分，保证原子性
+                this.abortBatch();
+                throw error;
+            }
+
+            this.endBatch();
+            return result;
+        }
+
+        if (!this.enabled || !operations || operations.length === 0) return;
 
-        this.record(batchSnapshot.state, batchSnapshot.action);
+        this.record(new BatchCommand({ commands: operations }), `${groupName} (${operations.length}个操作)`);
     }
 
     /**
@@ -319,6 +914,7 @@ class HistoryManager {
             totalRedoable: this.redoStack.length,
             maxSteps: this.maxSteps,
             enabled: this.enabled,
+            branchCount: this.getBranchCount(),
             lastUndoAction: this.getLastUndoAction(),
             lastRedoAction: this.getLastRedoAction()
         };
@@ -0,0 +1,118 @@
+/**
+ * 节点ID生成器
+ * 提供可替换的ID生成策略：UUID、内容哈希、顺序编号，或自定义函数
+ */
+import { MathUtils } from '../utils/MathUtils.js';
+
+// 内置策略名称
+const ID_STRATEGIES = ['uuid', 'hash', 'sequential'];
+
+class IdGenerator {
+    /**
+     * 创建ID生成器
+     * @param {Object} options - 配置选项
+     * @param {string|Function} options.strategy - 'uuid' | 'hash' | 'sequential'，或 (content, attempt) => id 的自定义函数
+     * @param {string} options.prefix - 哈希和顺序编号ID的前缀
+     * @param {number} options.sequencePadding - 顺序编号的最小位数
+     * @param {number} options.maxAttempts - 发生冲突时的最大重试次数
+     */
+    constructor(options = {}) {
+        this.options = {
+            strategy: 'uuid',
+            prefix: 'node_',
+            sequencePadding: 6,
+            maxAttempts: 10000,
+            ...options
+        };
+        
+        const strategy = this.options.strategy;
+        if (typeof strategy !== 'function' && !ID_STRATEGIES.includes(strategy)) {
+            throw new Error(`未知的ID生成策略: ${strategy}`);
+        }
+        
+        this.sequence = 0; // 顺序编号策略的当前编号
+    }
+    
+    /**
+     * 生成不与已有ID冲突的新ID
+     * @param {Object} content - 节点内容（哈希策略使用 name 和 parentId）
+     * @param {Function} isTaken - 判断ID是否已被占用的函数
+     * @returns {string} 新ID
+     */
+    generate(content = {}, isTaken = () => false) {
+        for (let attempt = 0; attempt < this.options.maxAttempts; attempt++) {
+            const id = this.createCandidate(content, attempt);
+            if (id && !isTaken(id)) {
+                return id;
+            }
+        }
+        
+        throw new Error(`无法生成唯一节点ID（已重试${this.options.maxAttempts}次）`);
+    }
+    
+    /**
+     * 按当前策略生成候选ID
+     * @param {Object} content - 节点内容
+     * @param {number} attempt - 第几次尝试（从0开始）
+     * @returns {string} 候选ID
+     */
+    createCandidate(content, attempt) {
+        const strategy = this.options.strategy;
+        
+        if (typeof strategy === 'function') {
+            return strategy(content, attempt);
+        }
+        
+        switch (strategy) {
+            case 'hash':
+                return this.options.prefix + this.hashContent(content, attempt);
+            case 'sequential':
+                this.sequence++;
+                return this.options.prefix + String(this.sequence).padStart(this.options.sequencePadding, '0');
+            default:
+                return MathUtils.generateUUID();
+        }
+    }
+    
+    /**
+     * 计算节点内容的哈希（FNV-1a 32位）
+     * 相同的父节点和名称总是得到相同的ID，同名兄弟节点通过重试序号区分
+     * @param {Object} content - 节点内容
+     * @param {number} attempt - 重试序号
+     * @returns {string} 8位十六进制哈希
+     */
+    hashContent(content, attempt = 0) {
+        const source = [content.parentId || '', content.name || '', attempt].join('\u0000');
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * 重置生成器状态（顺序编号从头开始，已占用的编号会被跳过）
+     */
+    reset() {
+        this.sequence = 0;
+    }
+    
+    /**
+     * 获取当前策略名称
+     * @returns {string} 策略名称（自定义函数返回'custom'）
+     */
+    getStrategy() {
+        return typeof this.options.strategy === 'function' ? 'custom' : this.options.strategy;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdGenerator, ID_STRATEGIES };
+}
+
+// ES6模块导出
+export { IdGenerator, ID_STRATEGIES };
\ No newline at end of file
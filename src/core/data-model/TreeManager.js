@@ -2,17 +2,44 @@
  * 树管理器
  * 管理整棵节点树，提供节点操作和遍历功能
  */
+import { DataValidator } from './DataValidator.js';
+import { DocumentMigrations } from './DocumentMigrations.js';
+import { DOCUMENT_VERSION } from './DocumentSchema.js';
+import { IdGenerator } from './IdGenerator.js';
+import { TreeNode } from './TreeNode.js';
+
+// 结构字段和时间戳只能由树管理器维护，不能通过updateNode修改
+const PROTECTED_FIELDS = ['id', 'parentId', 'depth', 'children', 'createdAt', 'updatedAt'];
+
+/**
+ * 复制字段值，避免节点与调用方共享引用
+ * @param {*} value - 字段值
+ * @returns {*} 副本
+ */
+function cloneValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
 class TreeManager {
     /**
      * 创建树管理器
      * @param {Object} options - 配置选项
+     * @param {string|Function} options.idStrategy - 节点ID生成策略（见IdGenerator，默认'uuid'）
      */
     constructor(options = {}) {
         this.nodes = new Map(); // ID -> 节点映射
         this.rootNodes = [];    // 根节点数组
-        this.selectedNodeId = null;
+        this.selectedNodeId = null; // 主选节点（属性面板、键盘操作的对象）
+        this.selectedNodeIds = new Set(); // 全部选中节点（多选）
         this.maxDepth = options.maxDepth || 10;
         this.maxNodes = options.maxNodes || 1000;
+        this.loading = false; // 整树加载中（加载期间的逐节点事件不代表独立操作）
+        this.bulkUpdate = null; // 批量修改中收集的变化 { nodeIds, changedFields }
+        this.validator = options.validator || new DataValidator();
+        this.idGenerator = options.idGenerator || new IdGenerator({ strategy: options.idStrategy || 'uuid' });
         
         // 事件系统
         this.eventListeners = new Map();
@@ -27,38 +54,58 @@ class TreeManager {
      * 添加节点
      * @param {TreeNode} node - 要添加的节点
      * @param {string} parentId - 父节点ID（可选，为null时作为根节点）
+     * @param {number} index - 在兄弟节点中的位置（可选，默认追加到末尾）
+     * @param {Object} options - 添加选项
+     * @param {boolean} options.remapIds - 为ID冲突的节点重新生成ID，而不是拒绝添加
      * @returns {boolean} 是否成功添加
      */
-    addNode(node, parentId = null) {
+    addNode(node, parentId = null, index = -1, options = {}) {
         // 验证节点
         if (!(node instanceof TreeNode)) {
             throw new Error('节点必须是TreeNode实例');
         }
         
+        if (options.remapIds) {
+            this.remapNodeIds(node);
+        }
+        
+        // 节点可能自带子树（如从JSON创建），需要一并登记
+        const subtreeNodes = [node, ...node.getDescendants()];
+        
         // 检查节点数量限制
-        if (this.nodes.size >= this.maxNodes) {
+        if (this.nodes.size + subtreeNodes.length > this.maxNodes) {
             console.warn(`达到最大节点数限制: ${this.maxNodes}`);
             return false;
         }
         
-        // 检查深度限制
-        if (node.depth > this.maxDepth) {
+        // 检查深度限制：子树最深的节点在挂载位置下也不能超过限制
+        const parent = parentId ? this.nodes.get(parentId) : null;
+        const targetDepth = parent ? parent.depth + 1 : 0;
+        const getHeight = (current) => current.children.reduce((height, child) => Math.max(height, getHeight(child) + 1), 0);
+        if (targetDepth + getHeight(node) > this.maxDepth) {
             console.warn(`节点深度超过限制: ${this.maxDepth}`);
             return false;
         }
         
-        // 检查ID是否已存在
-        if (this.nodes.has(node.id)) {
-            console.warn(`节点ID已存在: ${node.id}`);
+        // 检查ID是否已存在（包括子树内部的重复ID）
+        const subtreeIds = new Set();
+        const duplicate = subtreeNodes.find(subtreeNode => {
+            if (this.nodes.has(subtreeNode.id) || subtreeIds.has(subtreeNode.id)) return true;
+            subtreeIds.add(subtreeNode.id);
+            return false;
+        });
+        if (duplicate) {
+            console.warn(`节点ID已存在: ${duplicate.id}`);
             return false;
         }
         
         // 添加到映射
-        this.nodes.set(node.id, node);
+        subtreeNodes.forEach(subtreeNode => {
+            this.nodes.set(subtreeNode.id, subtreeNode);
+        });
         
         // 设置父节点关系
         if (parentId) {
-            const parent = this.nodes.get(parentId);
             if (parent) {
                 parent.addChild(node);
                 node.parentId = parentId;
@@ -77,8 +124,20 @@ class TreeManager {
             node.depth = 0;
         }
         
+        // 子树深度随挂载位置更新
+        this.updateSubtreeDepth(node, node.depth);
+        
+        // 移动到指定位置
+        const siblings = this.getChildList(node.parentId);
+        const lastIndex = siblings.length - 1;
+        const insertIndex = index < 0 || index > lastIndex ? lastIndex : index;
+        if (insertIndex !== lastIndex) {
+            siblings.splice(lastIndex, 1);
+            siblings.splice(insertIndex, 0, node);
+        }
+        
         // 触发事件
-        this.emit('nodeAdded', { node, parentId });
+        this.emit('nodeAdded', { node, parentId: node.parentId, index: insertIndex });
         
         return true;
     }
@@ -98,6 +157,9 @@ class TreeManager {
         const nodesToDelete = this.getDescendants(nodeId);
         nodesToDelete.push(node);
         
+        const parentId = node.parentId;
+        const index = this.getChildList(parentId).indexOf(node);
+        
         // 从父节点移除
         if (node.parentId) {
             const parent = this.nodes.get(node.parentId);
@@ -114,17 +176,392 @@ class TreeManager {
             this.nodes.delete(nodeToDelete.id);
         });
         
-        // 如果删除的是选中节点，清空选中状态
-        if (this.selectedNodeId === nodeId) {
+        // 被删除的节点移出选中集合；删除的是主选节点（或其祖先）时清空主选节点
+        nodesToDelete.forEach(nodeToDelete => {
+            this.selectedNodeIds.delete(nodeToDelete.id);
+        });
+        if (nodesToDelete.some(nodeToDelete => nodeToDelete.id === this.selectedNodeId)) {
             this.selectedNodeId = null;
         }
         
         // 触发事件
-        this.emit('nodeDeleted', { nodeId, deletedCount: nodesToDelete.length });
+        this.emit('nodeDeleted', {
+            nodeId,
+            node,
+            parentId,
+            index,
+            deletedCount: nodesToDelete.length
+        });
+        
+        return true;
+    }
+    
+    /**
+     * 更新节点属性
+     * 数据经过清理和验证，只有实际变化的字段才会写入并触发事件
+     * @param {string} nodeId - 节点ID
+     * @param {Object} updates - 要更新的属性
+     * @param {Object} options - 更新选项
+     * @param {boolean} options.raw - 跳过清理和验证，原样写入（撤销/重做恢复已记录的值，这些值可能不符合当前的规则）
+     * @returns {boolean} 是否成功更新（没有字段变化时也返回true）
+     */
+    updateNode(nodeId, updates, options = {}) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            console.warn(`节点不存在: ${nodeId}`);
+            return false;
+        }
+        
+        if (!updates || typeof updates !== 'object') {
+            throw new Error('更新数据必须是对象');
+        }
+        
+        const sanitized = options.raw ? updates : this.validator.sanitizeNodeData(updates);
+        const fields = Object.keys(sanitized).filter(field => field in node && !PROTECTED_FIELDS.includes(field));
+        
+        // 只验证要修改的字段（旧数据中格式不合规的ID等不影响修改其他字段）
+        if (!options.raw) {
+            const changed = {};
+            fields.forEach(field => {
+                changed[field] = sanitized[field];
+            });
+            
+            const validation = this.validator.validateNodeFields(changed);
+            if (!validation.isValid) {
+                console.warn('节点数据无效:', validation.errors.join('; '));
+                return false;
+            }
+        }
+        
+        // 收集变化的字段
+        const changes = {};
+        fields.forEach(field => {
+            const oldValue = node[field];
+            const newValue = sanitized[field];
+            
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+            
+            changes[field] = { oldValue: cloneValue(oldValue), newValue: cloneValue(newValue) };
+            node[field] = cloneValue(newValue);
+        });
+        
+        const changedFields = Object.keys(changes);
+        if (changedFields.length === 0) {
+            return true;
+        }
+        
+        node.updatedAt = new Date().toISOString();
+        
+        // 触发事件（批量修改中的事件带有bulk标记，界面可等批量修改结束后的nodesUpdated统一处理）
+        if (this.bulkUpdate) {
+            this.bulkUpdate.nodeIds.add(nodeId);
+            changedFields.forEach(field => this.bulkUpdate.changedFields.add(field));
+        }
+        
+        this.emit('nodeUpdated', {
+            nodeId,
+            node,
+            changedFields,
+            changes,
+            bulk: Boolean(this.bulkUpdate)
+        });
+        
+        return true;
+    }
+    
+    /**
+     * 移动节点（重新指定父节点）
+     * @param {string} nodeId - 要移动的节点ID
+     * @param {string|null} newParentId - 新父节点ID（为null时移动为根节点）
+     * @param {number} index - 在新父节点子节点中的位置（可选，默认追加到末尾）
+     * @returns {boolean} 是否成功移动
+     */
+    moveNode(nodeId, newParentId = null, index = -1) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            console.warn(`节点不存在: ${nodeId}`);
+            return false;
+        }
+        
+        const newParent = newParentId ? this.nodes.get(newParentId) : null;
+        if (newParentId && !newParent) {
+            console.warn(`父节点不存在: ${newParentId}`);
+            return false;
+        }
+        
+        // 检查循环引用（不能移动到自身或自身的后代下）
+        if (newParentId && (newParentId === nodeId || this.isDescendant(newParentId, nodeId))) {
+            console.warn(`不能将节点移动到其自身或后代节点下: ${nodeId}`);
+            return false;
+        }
+        
+        // 检查深度限制（整棵子树的最深节点）
+        const newDepth = newParent ? newParent.depth + 1 : 0;
+        const subtreeHeight = node.getSubtreeDepth() - node.depth;
+        if (newDepth + subtreeHeight > this.maxDepth) {
+            console.warn(`节点深度超过限制: ${this.maxDepth}`);
+            return false;
+        }
+        
+        const oldParentId = node.parentId;
+        const oldSiblings = this.getChildList(oldParentId);
+        const oldIndex = oldSiblings.indexOf(node);
+        
+        // 从原位置移除
+        oldSiblings.splice(oldIndex, 1);
+        
+        // 插入到新位置
+        const newSiblings = this.getChildList(newParentId);
+        const newIndex = index < 0 || index > newSiblings.length ? newSiblings.length : index;
+        newSiblings.splice(newIndex, 0, node);
+        
+        // 更新父子关系和整棵子树的深度
+        node.parentId = newParentId;
+        this.updateSubtreeDepth(node, newDepth);
+        
+        const now = new Date().toISOString();
+        node.updatedAt = now;
+        [oldParentId, newParentId].forEach(parentId => {
+            const parent = parentId ? this.nodes.get(parentId) : null;
+            if (parent) {
+                parent.updatedAt = now;
+            }
+        });
+        
+        // 触发事件
+        this.emit('nodeMoved', {
+            node,
+            nodeId,
+            oldParentId,
+            newParentId,
+            oldIndex,
+            newIndex
+        });
         
         return true;
     }
     
+    /**
+     * 重新排列子节点顺序
+     * @param {string|null} parentId - 父节点ID（为null时排列根节点）
+     * @param {Array<string>} orderedIds - 按新顺序排列的子节点ID数组
+     * @returns {boolean} 是否成功排列
+     */
+    reorderChildren(parentId, orderedIds) {
+        if (parentId && !this.nodes.has(parentId)) {
+            console.warn(`父节点不存在: ${parentId}`);
+            return false;
+        }
+        
+        const siblings = this.getChildList(parentId);
+        const siblingMap = new Map(siblings.map(child => [child.id, child]));
+        
+        // 新顺序必须恰好包含原有的全部子节点
+        const isPermutation = Array.isArray(orderedIds) &&
+            orderedIds.length === siblings.length &&
+            new Set(orderedIds).size === orderedIds.length &&
+            orderedIds.every(id => siblingMap.has(id));
+        
+        if (!isPermutation) {
+            console.warn(`子节点顺序无效: ${parentId || 'root'}`);
+            return false;
+        }
+        
+        const oldOrder = siblings.map(child => child.id);
+        if (oldOrder.every((id, index) => id === orderedIds[index])) {
+            return true;
+        }
+        
+        // 原地替换，保持数组引用不变
+        siblings.splice(0, siblings.length, ...orderedIds.map(id => siblingMap.get(id)));
+        
+        if (parentId) {
+            this.nodes.get(parentId).updatedAt = new Date().toISOString();
+        }
+        
+        // 触发事件
+        this.emit('childrenReordered', {
+            parentId,
+            oldOrder,
+            newOrder: [...orderedIds]
+        });
+        
+        return true;
+    }
+    
+    /**
+     * 在兄弟节点间移动节点
+     * @param {string} nodeId - 节点ID
+     * @param {number} offset - 位置偏移量（负数向前，正数向后）
+     * @returns {boolean} 是否成功移动
+     */
+    moveSibling(nodeId, offset) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            console.warn(`节点不存在: ${nodeId}`);
+            return false;
+        }
+        
+        const order = this.getChildList(node.parentId).map(child => child.id);
+        const oldIndex = order.indexOf(nodeId);
+        const newIndex = Math.max(0, Math.min(order.length - 1, oldIndex + offset));
+        
+        if (newIndex === oldIndex) {
+            return false;
+        }
+        
+        order.splice(oldIndex, 1);
+        order.splice(newIndex, 0, nodeId);
+        
+        return this.reorderChildren(node.parentId, order);
+    }
+    
+    /**
+     * 克隆子树，为所有节点重新生成ID并修正parentId和深度
+     * 克隆结果尚未加入树中，可直接传给addNode
+     * @param {string|TreeNode|Object} source - 源节点ID、节点实例或节点JSON（如来自剪贴板）
+     * @param {string|null} parentId - 克隆结果的父节点ID（为null时作为根节点）
+     * @returns {TreeNode|null} 克隆的子树根节点，失败时返回null
+     */
+    cloneSubtree(source, parentId = null) {
+        let sourceJson;
+        if (typeof source === 'string') {
+            const sourceNode = this.nodes.get(source);
+            if (!sourceNode) {
+                console.warn(`节点不存在: ${source}`);
+                return null;
+            }
+            sourceJson = sourceNode.toJSON();
+        } else if (source instanceof TreeNode) {
+            sourceJson = source.toJSON();
+        } else if (source && typeof source === 'object') {
+            // 外部数据需要先清理
+            sourceJson = this.validator.sanitizeNodeData(source);
+        } else {
+            throw new Error('克隆源必须是节点ID、节点实例或节点JSON');
+        }
+        
+        const parent = parentId ? this.nodes.get(parentId) : null;
+        if (parentId && !parent) {
+            console.warn(`父节点不存在: ${parentId}`);
+            return null;
+        }
+        
+        const now = new Date().toISOString();
+        const reserved = new Set(); // 本次克隆已分配、尚未加入树的ID
+        const reissue = (nodeJson, newParentId, depth) => {
+            const id = this.generateNodeId({ name: nodeJson.name, parentId: newParentId }, reserved);
+            reserved.add(id);
+            return {
+                ...nodeJson,
+                id,
+                parentId: newParentId,
+                depth,
+                createdAt: now,
+                updatedAt: now,
+                children: (nodeJson.children || []).map(child => reissue(child, id, depth + 1))
+            };
+        };
+        
+        const clone = TreeNode.fromJSON(reissue(sourceJson, parent ? parent.id : null, parent ? parent.depth + 1 : 0));
+        
+        // 检查深度限制（整棵子树的最深节点）
+        if (clone.getSubtreeDepth() > this.maxDepth) {
+            console.warn(`节点深度超过限制: ${this.maxDepth}`);
+            return null;
+        }
+        
+        return clone;
+    }
+    
+    /**
+     * 把一组节点合并到目标节点的子节点中：与已有子节点同名的节点合并
+     * （标签取并集，目标没有备注时使用导入的备注，再递归合并子节点），其余节点作为副本插入
+     * @param {Array<Object>} nodes - 节点JSON（如导入文件中根节点的子节点）
+     * @param {string} parentId - 目标节点ID
+     * @returns {Object} 合并结果 { addedNodes: 新增的节点数, mergedNodes: 并入同名节点的节点数, skippedNodes: 超出数量或深度限制未插入的节点数 }
+     */
+    mergeIntoNode(nodes, parentId) {
+        if (!this.nodes.has(parentId)) {
+            throw new Error(`目标节点不存在: ${parentId}`);
+        }
+        
+        const result = { addedNodes: 0, mergedNodes: 0, skippedNodes: 0 };
+        const countNodes = nodeJson => (nodeJson.children || []).reduce((total, child) => total + countNodes(child), 1);
+        
+        const mergeChildren = (children, targetId) => {
+            children.forEach(childJson => {
+                const name = String(childJson.name || '').trim();
+                const existing = this.getChildList(targetId).find(node => node.name === name);
+                
+                if (!existing) {
+                    const clone = this.cloneSubtree(childJson, targetId);
+                    if (clone && this.addNode(clone, targetId)) {
+                        result.addedNodes += clone.getSubtreeSize();
+                    } else {
+                        result.skippedNodes += countNodes(childJson);
+                    }
+                    return;
+                }
+                
+                const updates = {};
+                const tags = [...new Set([...existing.tags, ...(Array.isArray(childJson.tags) ? childJson.tags : [])])];
+                if (tags.length > existing.tags.length) {
+                    updates.tags = tags;
+                }
+                if (!existing.notes && childJson.notes) {
+                    updates.notes = childJson.notes;
+                }
+                if (Object.keys(updates).length > 0) {
+                    this.updateNode(existing.id, updates);
+                }
+                
+                result.mergedNodes++;
+                mergeChildren(childJson.children || [], existing.id);
+            });
+        };
+        
+        this.runBulkUpdate(() => mergeChildren(nodes, parentId));
+        return result;
+    }
+    
+    /**
+     * 获取指定父节点下的子节点数组（父节点为null时返回根节点数组）
+     * @param {string|null} parentId - 父节点ID
+     * @returns {Array<TreeNode>} 子节点数组（原数组引用）
+     */
+    getChildList(parentId) {
+        if (!parentId) {
+            return this.rootNodes;
+        }
+        
+        const parent = this.nodes.get(parentId);
+        return parent ? parent.children : [];
+    }
+    
+    /**
+     * 检查节点是否为另一节点的后代
+     * @param {string} nodeId - 待检查的节点ID
+     * @param {string} ancestorId - 祖先节点ID
+     * @returns {boolean} 是否为后代
+     */
+    isDescendant(nodeId, ancestorId) {
+        return this.getAncestors(nodeId).some(ancestor => ancestor.id === ancestorId);
+    }
+    
+    /**
+     * 递归更新子树深度
+     * @param {TreeNode} node - 子树根节点
+     * @param {number} depth - 子树根节点的新深度
+     */
+    updateSubtreeDepth(node, depth) {
+        node.depth = depth;
+        node.children.forEach(child => {
+            child.parentId = node.id;
+            this.updateSubtreeDepth(child, depth + 1);
+        });
+    }
+    
     /**
      * 查找节点
      * @param {string} nodeId - 节点ID
@@ -225,14 +662,375 @@ class TreeManager {
      * @param {string} nodeId - 节点ID
      */
     setSelectedNode(nodeId) {
+        this.setSelection(nodeId ? [nodeId] : [], nodeId || null);
+    }
+    
+    /**
+     * 设置选中节点集合
+     * @param {Array<string>} nodeIds - 选中的节点ID
+     * @param {string|null} primaryId - 主选节点ID（可选，默认为最后一个）
+     */
+    setSelection(nodeIds, primaryId) {
         const oldSelectedId = this.selectedNodeId;
-        this.selectedNodeId = nodeId;
+        
+        const ids = nodeIds.filter(id => this.nodes.has(id));
+        this.selectedNodeIds = new Set(ids);
+        this.selectedNodeId = primaryId !== undefined ? primaryId : (ids[ids.length - 1] || null);
         
         // 触发事件
         this.emit('selectionChanged', { 
             oldSelectedId, 
-            newSelectedId: nodeId 
+            newSelectedId: this.selectedNodeId,
+            selectedIds: this.getSelectedNodeIds()
+        });
+    }
+    
+    /**
+     * 切换节点的选中状态（Ctrl+点击）
+     * @param {string} nodeId - 节点ID
+     */
+    toggleNodeSelection(nodeId) {
+        const ids = this.getSelectedNodeIds();
+        
+        if (!this.selectedNodeIds.has(nodeId)) {
+            this.setSelection([...ids, nodeId], nodeId);
+            return;
+        }
+        
+        const remaining = ids.filter(id => id !== nodeId);
+        const primaryId = this.selectedNodeId === nodeId ? (remaining[remaining.length - 1] || null) : this.selectedNodeId;
+        this.setSelection(remaining, primaryId);
+    }
+    
+    /**
+     * 范围选择（Shift+点击）
+     * 与主选节点是兄弟节点时选中两者之间的所有兄弟节点，否则追加选中该节点
+     * @param {string} nodeId - 节点ID
+     */
+    selectRange(nodeId) {
+        const node = this.nodes.get(nodeId);
+        const anchor = this.getSelectedNode();
+        if (!node) return;
+        
+        const ids = this.getSelectedNodeIds();
+        
+        if (anchor && anchor.parentId === node.parentId) {
+            const siblings = this.getChildList(node.parentId);
+            const start = siblings.indexOf(anchor);
+            const end = siblings.indexOf(node);
+            const range = siblings
+                .slice(Math.min(start, end), Math.max(start, end) + 1)
+                .map(sibling => sibling.id);
+            
+            this.setSelection([...new Set([...ids, ...range])], nodeId);
+            return;
+        }
+        
+        this.setSelection([...new Set([...ids, nodeId])], nodeId);
+    }
+    
+    /**
+     * 选中节点及其所有后代
+     * @param {string} nodeId - 子树根节点ID
+     * @param {boolean} additive - 是否保留已有选择
+     */
+    selectSubtree(nodeId, additive = false) {
+        if (!this.nodes.has(nodeId)) return;
+        
+        const subtreeIds = [nodeId, ...this.getDescendants(nodeId).map(node => node.id)];
+        const ids = additive ? [...new Set([...this.getSelectedNodeIds(), ...subtreeIds])] : subtreeIds;
+        this.setSelection(ids, nodeId);
+    }
+    
+    /**
+     * 选中带有指定标签的所有节点
+     * @param {string} tag - 标签
+     * @param {boolean} additive - 是否保留已有选择
+     * @returns {number} 带有该标签的节点数
+     */
+    selectByTag(tag, additive = false) {
+        const taggedIds = [];
+        this.traverse(node => {
+            if (node.hasTag(tag)) {
+                taggedIds.push(node.id);
+            }
+        });
+        
+        const ids = additive ? [...new Set([...this.getSelectedNodeIds(), ...taggedIds])] : taggedIds;
+        this.setSelection(ids, taggedIds[0] || (additive ? this.selectedNodeId : null));
+        
+        return taggedIds.length;
+    }
+    
+    /**
+     * 清空选择
+     */
+    clearSelection() {
+        this.setSelection([], null);
+    }
+    
+    /**
+     * 获取所有选中节点的ID
+     * @returns {Array<string>} 节点ID数组
+     */
+    getSelectedNodeIds() {
+        return [...this.selectedNodeIds];
+    }
+    
+    /**
+     * 获取所有选中节点
+     * @returns {Array<TreeNode>} 节点数组
+     */
+    getSelectedNodes() {
+        return this.getSelectedNodeIds().map(id => this.nodes.get(id)).filter(Boolean);
+    }
+    
+    /**
+     * 检查节点是否被选中
+     * @param {string} nodeId - 节点ID
+     * @returns {boolean} 是否被选中
+     */
+    isNodeSelected(nodeId) {
+        return this.selectedNodeIds.has(nodeId);
+    }
+    
+    /**
+     * 获取一组节点中的顶层节点（祖先不在该组中的节点），按树中顺序排列
+     * 批量删除、移动时只需处理顶层节点，后代会随之一起处理
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @returns {Array<string>} 顶层节点ID数组
+     */
+    getTopLevelNodeIds(nodeIds) {
+        const idSet = new Set(nodeIds);
+        const topLevelIds = [];
+        
+        this.traverse(node => {
+            if (idSet.has(node.id) && !this.getAncestors(node.id).some(ancestor => idSet.has(ancestor.id))) {
+                topLevelIds.push(node.id);
+            }
         });
+        
+        return topLevelIds;
+    }
+    
+    /**
+     * 获取树中使用的所有标签
+     * @returns {Array<string>} 标签数组（按字母排序）
+     */
+    getAllTags() {
+        const tags = new Set();
+        this.traverse(node => {
+            node.tags.forEach(tag => tags.add(tag));
+        });
+        return [...tags].sort();
+    }
+    
+    /**
+     * 批量删除节点（及其后代）
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @returns {number} 删除的子树数量
+     */
+    deleteNodes(nodeIds) {
+        return this.getTopLevelNodeIds(nodeIds)
+            .filter(nodeId => this.deleteNode(nodeId))
+            .length;
+    }
+    
+    /**
+     * 批量更新节点属性
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @param {Object} updates - 要更新的属性
+     * @returns {number} 更新成功的节点数量
+     */
+    updateNodes(nodeIds, updates) {
+        return this.runBulkUpdate(() => nodeIds
+            .filter(nodeId => this.updateNode(nodeId, updates))
+            .length);
+    }
+    
+    /**
+     * 批量添加标签
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @param {string} tag - 标签
+     * @returns {number} 新添加标签的节点数量
+     */
+    addTagToNodes(nodeIds, tag) {
+        return this.runBulkUpdate(() => nodeIds.filter(nodeId => {
+            const node = this.nodes.get(nodeId);
+            return node && !node.hasTag(tag) && this.updateNode(nodeId, { tags: [...node.tags, tag] });
+        }).length);
+    }
+    
+    /**
+     * 批量移除标签
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @param {string} tag - 标签
+     * @returns {number} 移除了标签的节点数量
+     */
+    removeTagFromNodes(nodeIds, tag) {
+        return this.runBulkUpdate(() => nodeIds.filter(nodeId => {
+            const node = this.nodes.get(nodeId);
+            return node && node.hasTag(tag) && this.updateNode(nodeId, { tags: node.tags.filter(t => t !== tag) });
+        }).length);
+    }
+    
+    /**
+     * 执行批量修改：期间每个节点仍触发nodeUpdated（带bulk标记，供历史记录逐条记录），
+     * 结束后触发一次nodesUpdated，界面只需重绘和保存一次
+     * @param {Function} operation - 修改操作
+     * @returns {*} 操作的返回值
+     */
+    runBulkUpdate(operation) {
+        // 嵌套调用时由最外层统一触发
+        if (this.bulkUpdate) {
+            return operation();
+        }
+        
+        this.bulkUpdate = { nodeIds: new Set(), changedFields: new Set() };
+        try {
+            return operation();
+        } finally {
+            const changes = this.bulkUpdate;
+            this.bulkUpdate = null;
+            
+            if (changes.nodeIds.size > 0) {
+                this.emit('nodesUpdated', {
+                    nodeIds: [...changes.nodeIds],
+                    changedFields: [...changes.changedFields]
+                });
+            }
+        }
+    }
+    
+    /**
+     * 批量移动节点到同一个父节点下（保持原有相对顺序）
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @param {string|null} newParentId - 新父节点ID
+     * @param {number} index - 插入位置（可选，默认追加到末尾）
+     * @returns {number} 移动成功的节点数量
+     */
+    moveNodes(nodeIds, newParentId = null, index = -1) {
+        let insertIndex = index;
+        
+        return this.getTopLevelNodeIds(nodeIds).filter(nodeId => {
+            const moved = this.moveNode(nodeId, newParentId, insertIndex);
+            if (moved && insertIndex >= 0) {
+                insertIndex = this.getChildList(newParentId).indexOf(this.nodes.get(nodeId)) + 1;
+            }
+            return moved;
+        }).length;
+    }
+    
+    /**
+     * 折叠或展开节点（折叠是视图状态，不通过updateNode修改，因此不进入撤销历史）
+     * @param {string} nodeId - 节点ID
+     * @param {boolean} collapsed - 是否折叠
+     * @returns {boolean} 状态是否发生变化
+     */
+    setNodeCollapsed(nodeId, collapsed) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            console.warn(`节点不存在: ${nodeId}`);
+            return false;
+        }
+        
+        return this.applyCollapsedState([node], () => collapsed).length > 0;
+    }
+    
+    /**
+     * 切换节点的折叠状态
+     * @param {string} nodeId - 节点ID
+     * @returns {boolean} 状态是否发生变化
+     */
+    toggleNodeCollapsed(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return node ? this.setNodeCollapsed(nodeId, !node.collapsed) : false;
+    }
+    
+    /**
+     * 展开整棵树或指定子树中的所有节点
+     * @param {string|null} nodeId - 子树根节点ID（为null时处理整棵树）
+     * @returns {number} 状态发生变化的节点数
+     */
+    expandAll(nodeId = null) {
+        return this.applyCollapsedState(this.getCollapsibleNodes(nodeId), () => false).length;
+    }
+    
+    /**
+     * 折叠整棵树或指定子树中的所有节点
+     * @param {string|null} nodeId - 子树根节点ID（为null时处理整棵树）
+     * @returns {number} 状态发生变化的节点数
+     */
+    collapseAll(nodeId = null) {
+        return this.applyCollapsedState(this.getCollapsibleNodes(nodeId), () => true).length;
+    }
+    
+    /**
+     * 折叠到指定层级：深度小于level的节点展开，深度为level及以上的节点折叠
+     * @param {number} level - 保持展开的层数（0表示只显示根节点）
+     * @returns {number} 状态发生变化的节点数
+     */
+    collapseToLevel(level) {
+        if (!Number.isInteger(level) || level < 0) {
+            throw new Error('折叠层级必须是非负整数');
+        }
+        
+        return this.applyCollapsedState(this.getCollapsibleNodes(), node => node.depth >= level).length;
+    }
+    
+    /**
+     * 展开节点的所有祖先，使节点在图表中可见
+     * @param {string} nodeId - 节点ID
+     * @returns {number} 状态发生变化的节点数
+     */
+    revealNode(nodeId) {
+        return this.applyCollapsedState(this.getAncestors(nodeId), () => false).length;
+    }
+    
+    /**
+     * 获取可折叠（有子节点）的节点
+     * @param {string|null} nodeId - 子树根节点ID（为null时处理整棵树）
+     * @returns {Array<TreeNode>} 节点数组
+     */
+    getCollapsibleNodes(nodeId = null) {
+        let nodes;
+        if (nodeId) {
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                console.warn(`节点不存在: ${nodeId}`);
+                return [];
+            }
+            nodes = [node, ...node.getDescendants()];
+        } else {
+            nodes = Array.from(this.nodes.values());
+        }
+        
+        return nodes.filter(node => node.hasChildren());
+    }
+    
+    /**
+     * 设置一组节点的折叠状态，并在有变化时触发collapseChanged事件
+     * @param {Array<TreeNode>} nodes - 节点数组
+     * @param {Function} getCollapsed - 返回节点目标折叠状态的函数
+     * @returns {Array<string>} 状态发生变化的节点ID
+     */
+    applyCollapsedState(nodes, getCollapsed) {
+        const changedIds = [];
+        
+        nodes.forEach(node => {
+            // 没有子节点的节点不能折叠
+            const collapsed = Boolean(getCollapsed(node)) && node.hasChildren();
+            if (node.collapsed !== collapsed) {
+                node.collapsed = collapsed;
+                changedIds.push(node.id);
+            }
+        });
+        
+        if (changedIds.length > 0) {
+            this.emit('collapseChanged', { nodeIds: changedIds });
+        }
+        
+        return changedIds;
     }
     
     /**
@@ -293,44 +1091,104 @@ class TreeManager {
     /**
      * 从ECharts数据格式导入
      * @param {Array} echartsData - ECharts数据
+     * @param {Object} options - 导入选项
+     * @param {boolean} options.remapIds - 为重复的ID重新生成ID，而不是丢弃该节点
+     * @returns {Object} 导入结果 { nodeCount: 实际导入的节点数（超出数量或深度限制的节点会被丢弃） }
      */
-    fromEChartsData(echartsData) {
-        this.clear();
-        
-        const processData = (data, parentId = null, depth = 0) => {
-            const node = new TreeNode({
-                id: data.id || this.generateNodeId(),
-                name: data.name || '未命名',
-                depth: depth,
-                value: data.value || 1,
-                color: data.itemStyle?.color,
-                parentId: parentId
-            });
-            
-            this.addNode(node, parentId);
+    fromEChartsData(echartsData, options = {}) {
+        this.emit('treeLoading');
+        this.loading = true;
+        
+        try {
+            this.clear();
             
-            if (data.children && Array.isArray(data.children)) {
-                data.children.forEach(childData => {
-                    processData(childData, node.id, depth + 1);
+            const processData = (data, parentId = null, depth = 0) => {
+                const node = new TreeNode({
+                    id: data.id || this.generateNodeId({ name: data.name, parentId }),
+                    name: data.name || '未命名',
+                    depth: depth,
+                    value: data.value || 1,
+                    color: data.itemStyle?.color,
+                    parentId: parentId
                 });
-            }
-        };
+                
+                if (!this.addNode(node, parentId, -1, options)) {
+                    return;
+                }
+                
+                if (data.children && Array.isArray(data.children)) {
+                    data.children.forEach(childData => {
+                        processData(childData, node.id, depth + 1);
+                    });
+                }
+            };
+            
+            echartsData.forEach(data => {
+                processData(data, null, 0);
+            });
+        } finally {
+            this.loading = false;
+        }
         
-        echartsData.forEach(data => {
-            processData(data, null, 0);
-        });
+        const result = { nodeCount: this.nodes.size };
+        this.emit('treeLoaded', result);
+        return result;
     }
     
     /**
-     * 生成节点ID
+     * 按配置的ID策略生成节点ID
+     * @param {Object} content - 节点内容（内容哈希策略使用 name 和 parentId）
+     * @param {Set<string>} reserved - 额外需要避开的ID（如尚未加入树的新节点）
      * @returns {string} 唯一节点ID
      */
-    generateNodeId() {
-        let id;
-        do {
-            id = 'node_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        } while (this.nodes.has(id));
-        return id;
+    generateNodeId(content = {}, reserved = null) {
+        return this.idGenerator.generate(content, id => this.nodes.has(id) || (reserved !== null && reserved.has(id)));
+    }
+    
+    /**
+     * 为JSON中没有ID的节点按配置的ID策略分配ID，并修正子节点的parentId
+     * @param {TreeNode} node - 由nodeJson创建、尚未加入树的节点
+     * @param {Object} nodeJson - 节点的JSON数据
+     * @param {Set<string>} reserved - 需要避开的ID，新分配的ID也会加入其中
+     */
+    assignMissingIds(node, nodeJson, reserved) {
+        if (!nodeJson.id) {
+            node.id = this.generateNodeId({ name: node.name, parentId: node.parentId }, reserved);
+            reserved.add(node.id);
+        }
+        
+        node.children.forEach((child, index) => {
+            child.parentId = node.id;
+            this.assignMissingIds(child, nodeJson.children[index], reserved);
+        });
+    }
+    
+    /**
+     * 为子树中与树内已有ID冲突（或缺失、格式无效）的节点重新生成ID，并修正子节点的parentId
+     * @param {TreeNode} node - 尚未加入树的子树根节点
+     * @param {Set<string>} reserved - 额外需要避开的ID，新分配的ID也会加入其中
+     * @returns {Map<string, string>} 旧ID -> 新ID
+     */
+    remapNodeIds(node, reserved = new Set()) {
+        const idMap = new Map();
+        
+        const visit = (current) => {
+            const id = current.id;
+            const valid = typeof id === 'string' && this.validator.rules.nodeId.pattern.test(id);
+            if (!valid || this.nodes.has(id) || reserved.has(id)) {
+                current.id = this.generateNodeId({ name: current.name, parentId: current.parentId }, reserved);
+                idMap.set(id, current.id);
+            }
+            reserved.add(current.id);
+            
+            current.children.forEach(child => {
+                child.parentId = current.id;
+                visit(child);
+            });
+        };
+        visit(node);
+        
+        return idMap;
     }
     
     /**
@@ -339,7 +1197,7 @@ class TreeManager {
      */
     toJSON() {
         return {
-            version: '1.0',
+            version: DOCUMENT_VERSION,
             createdAt: new Date().toISOString(),
             rootNodes: this.rootNodes.map(root => root.toJSON()),
             totalNodes: this.nodes.size,
@@ -351,31 +1209,85 @@ class TreeManager {
     /**
      * 从JSON加载
      * @param {Object} json - JSON数据
+     * @param {Object} options - 加载选项
+     * @param {boolean} options.append - 追加到现有树之后，而不是替换整棵树
+     * @param {boolean} options.remapIds - 为ID冲突的节点重新生成ID，而不是跳过冲突的子树
+     * @param {string} options.action - 历史记录中的动作描述（默认为"导入数据"）
+     * @returns {Object} 加载结果 { nodeCount, remappedIds: Map<旧ID, 新ID>, skippedNodes, migrations: 执行的迁移说明 }
      */
-    loadFromJSON(json) {
-        this.clear();
+    loadFromJSON(json, options = {}) {
+        const { append = false, remapIds = false } = options;
+        const remappedIds = new Map();
+        let skippedNodes = 0;
         
-        if (json.rootNodes && Array.isArray(json.rootNodes)) {
-            json.rootNodes.forEach(rootJson => {
-                const rootNode = TreeNode.fromJSON(rootJson);
-                this.addNode(rootNode);
-            });
+        // 旧版本文件逐步升级到当前版本；更新版本的文件直接报错，不修改当前的树
+        const migration = DocumentMigrations.migrate(json);
+        json = migration.document;
+        
+        this.emit('treeLoading');
+        this.loading = true;
+        
+        try {
+            if (!append) {
+                this.clear();
+            }
+            
+            if (json.rootNodes && Array.isArray(json.rootNodes)) {
+                // 文件中没有ID的节点按配置的ID策略分配，并避开文件中已写明的ID
+                const fileIds = new Set();
+                const collectIds = nodeJson => {
+                    if (nodeJson.id) fileIds.add(nodeJson.id);
+                    (nodeJson.children || []).forEach(collectIds);
+                };
+                json.rootNodes.forEach(collectIds);
+                
+                json.rootNodes.forEach(rootJson => {
+                    const rootNode = TreeNode.fromJSON(rootJson);
+                    this.assignMissingIds(rootNode, rootJson, fileIds);
+                    if (remapIds) {
+                        this.remapNodeIds(rootNode).forEach((newId, oldId) => {
+                            // 同一ID在文件中重复出现时保留第一次的映射
+                            if (!remappedIds.has(oldId)) remappedIds.set(oldId, newId);
+                        });
+                    }
+                    if (!this.addNode(rootNode)) {
+                        skippedNodes += rootNode.getDescendants().length + 1;
+                    }
+                });
+            }
+            
+            const selectedNodeId = remappedIds.get(json.selectedNodeId) || json.selectedNodeId;
+            if (!append && selectedNodeId && this.nodes.has(selectedNodeId)) {
+                this.selectedNodeId = selectedNodeId;
+                this.selectedNodeIds = new Set([selectedNodeId]);
+            }
+        } finally {
+            this.loading = false;
         }
         
-        if (json.selectedNodeId) {
-            this.selectedNodeId = json.selectedNodeId;
+        if (skippedNodes > 0) {
+            console.warn(`导入时跳过了${skippedNodes}个节点（ID冲突或超出限制）`);
         }
         
-        this.emit('treeLoaded', { nodeCount: this.nodes.size });
+        const result = { nodeCount: this.nodes.size, remappedIds, skippedNodes, migrations: migration.steps };
+        this.emit('treeLoaded', { ...result, action: options.action });
+        
+        return result;
     }
     
     /**
      * 清空树
      */
     clear() {
+        if (!this.loading) {
+            this.emit('treeClearing');
+        }
+        
         this.nodes.clear();
         this.rootNodes = [];
         this.selectedNodeId = null;
+        this.selectedNodeIds.clear();
+        this.idGenerator.reset();
         this.emit('treeCleared');
     }
     
@@ -0,0 +1,468 @@
+/**
+ * 三方合并
+ * 两份从同一版本（共同基础版本）复制出来分别编辑的导图，按节点ID与基础版本对比，得到各自的修改：
+ * 只有一方修改的内容直接采用；双方把同一字段改成不同的值，或一方删除了另一方修改过的子树时，作为冲突由用户选择保留哪一方
+ * 本地版本（ours）是当前打开的导图，对方版本（theirs）是另一份文件
+ */
+import { DOCUMENT_VERSION } from './DocumentSchema.js';
+
+// 参与合并的节点字段 -> 修改类型；其他字段（折叠状态、时间戳等）以本地版本为准
+const TRACKED_FIELDS = {
+    name: 'renamed',
+    color: 'recolored',
+    parentId: 'moved',
+    notes: 'edited',
+    tags: 'edited',
+    value: 'edited'
+};
+
+const CHANGE_LABELS = {
+    added: '新增',
+    removed: '删除',
+    renamed: '重命名',
+    moved: '移动',
+    recolored: '修改颜色',
+    edited: '修改内容'
+};
+
+const FIELD_LABELS = {
+    name: '名称',
+    color: '颜色',
+    parentId: '位置',
+    notes: '备注',
+    tags: '标签',
+    value: '数值'
+};
+
+/**
+ * 比较字段值：未设置、空字符串和空数组视为相同
+ * @param {*} a - 字段值
+ * @param {*} b - 字段值
+ * @returns {boolean} 是否相同
+ */
+function isSameValue(a, b) {
+    const normalize = value => (value === undefined || value === '' || (Array.isArray(value) && value.length === 0) ? null : value);
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+class TreeMerge {
+    /**
+     * 把文档展开为 节点ID -> { node: 不含children的节点数据（parentId按层级重建）, index: 在兄弟节点中的位置 }
+     * @param {Object} document - 文档（TreeManager.toJSON的格式）
+     * @returns {Map<string, Object>} 节点表
+     */
+    static flatten(document) {
+        const nodes = new Map();
+
+        const visit = (list, parentId) => (list || []).forEach((node, index) => {
+            const { children, ...data } = node;
+            nodes.set(node.id, { node: { ...data, parentId }, index });
+            visit(children, node.id);
+        });
+        visit(document && document.rootNodes, null);
+
+        return nodes;
+    }
+
+    /**
+     * 计算一个版本相对基础版本的修改
+     * @param {Object|Map} base - 基础版本（文档或flatten的结果）
+     * @param {Object|Map} other - 修改后的版本
+     * @returns {Array<Object>} 修改 { type: added/removed/renamed/moved/recolored/edited, nodeId, name, field, from, to }
+     */
+    static diff(base, other) {
+        const baseNodes = base instanceof Map ? base : this.flatten(base);
+        const otherNodes = other instanceof Map ? other : this.flatten(other);
+        const changes = [];
+
+        otherNodes.forEach((entry, nodeId) => {
+            const original = baseNodes.get(nodeId);
+            if (!original) {
+                changes.push({ type: 'added', nodeId, name: entry.node.name });
+                return;
+            }
+
+            Object.keys(TRACKED_FIELDS).forEach(field => {
+                if (!isSameValue(original.node[field], entry.node[field])) {
+                    changes.push({
+                        type: TRACKED_FIELDS[field],
+                        nodeId,
+                        name: entry.node.name,
+                        field,
+                        from: original.node[field],
+                        to: entry.node[field]
+                    });
+                }
+            });
+        });
+
+        baseNodes.forEach((entry, nodeId) => {
+            if (!otherNodes.has(nodeId)) {
+                changes.push({ type: 'removed', nodeId, name: entry.node.name });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * 三方合并
+     * @param {Object} base - 共同的基础版本
+     * @param {Object} ours - 本地版本
+     * @param {Object} theirs - 对方版本
+     * @returns {Object} 合并结果 { nodes: 自动合并后的节点表, conflicts, changes: { ours, theirs }, names, versions }，交给resolve生成文档
+     */
+    static merge(base, ours, theirs) {
+        const versions = {
+            base: this.flatten(base),
+            ours: this.flatten(ours),
+            theirs: this.flatten(theirs)
+        };
+        const nodes = new Map(); // 节点ID -> 合并后的节点数据
+        const conflicts = [];
+
+        // 冲突说明中需要显示父节点名称，任一版本中的名称都可以
+        const names = new Map();
+        ['base', 'theirs', 'ours'].forEach(version => {
+            versions[version].forEach((entry, nodeId) => names.set(nodeId, entry.node.name));
+        });
+
+        const removedGroups = this.collectRemovedGroups(versions);
+        const grouped = new Set();
+        removedGroups.forEach(group => group.nodeIds.forEach(nodeId => grouped.add(nodeId)));
+
+        const nodeIds = new Set([...versions.base.keys(), ...versions.ours.keys(), ...versions.theirs.keys()]);
+        nodeIds.forEach(nodeId => {
+            if (grouped.has(nodeId)) return;
+
+            const original = versions.base.get(nodeId);
+            const mine = versions.ours.get(nodeId);
+            const other = versions.theirs.get(nodeId);
+
+            // 双方都删除
+            if (!mine && !other) return;
+
+            // 只有一方有的节点：新增的节点直接加入（删除的节点已在removedGroups中处理）
+            if (!mine || !other) {
+                nodes.set(nodeId, { ...(mine || other).node });
+                return;
+            }
+
+            const node = { ...mine.node };
+            Object.keys(TRACKED_FIELDS).forEach(field => {
+                if (isSameValue(mine.node[field], other.node[field])) return;
+
+                const baseValue = original ? original.node[field] : undefined;
+                if (isSameValue(baseValue, mine.node[field])) {
+                    node[field] = other.node[field];
+                } else if (!isSameValue(baseValue, other.node[field])) {
+                    conflicts.push({
+                        key: `${nodeId}:${field}`,
+                        type: TRACKED_FIELDS[field],
+                        nodeId,
+                        field,
+                        name: (original || mine).node.name,
+                        base: baseValue,
+                        ours: mine.node[field],
+                        theirs: other.node[field]
+                    });
+                }
+            });
+            nodes.set(nodeId, node);
+        });
+
+        // 被删除的子树：另一方没有修改时直接删除，否则作为冲突（保留时恢复为另一方的内容）
+        removedGroups.forEach(group => {
+            if (!group.modified) return;
+
+            const keptNodes = group.nodeIds
+                .filter(nodeId => versions[group.keptBy].has(nodeId))
+                .map(nodeId => ({ ...versions[group.keptBy].get(nodeId).node }));
+
+            conflicts.push({
+                key: `${group.rootId}:removed`,
+                type: 'removed',
+                nodeId: group.rootId,
+                name: names.get(group.rootId),
+                removedBy: group.removedBy,
+                [group.keptBy]: keptNodes,
+                [group.removedBy]: null
+            });
+        });
+
+        return {
+            nodes,
+            conflicts,
+            changes: {
+                ours: this.diff(versions.base, versions.ours),
+                theirs: this.diff(versions.base, versions.theirs)
+            },
+            names,
+            versions
+        };
+    }
+
+    /**
+     * 找出被一方删除的子树
+     * 以删除方中最上层的被删节点为单位分组，组内包括基础版本中的子孙节点，以及另一方在这棵子树下新增的节点
+     * @param {Object} versions - { base, ours, theirs } 节点表
+     * @returns {Array<Object>} { rootId, removedBy, keptBy, nodeIds, modified: 另一方是否修改过这棵子树 }
+     */
+    static collectRemovedGroups(versions) {
+        const groups = new Map(); // 最上层被删节点ID -> 分组
+
+        ['ours', 'theirs'].forEach(removedBy => {
+            const keptBy = removedBy === 'ours' ? 'theirs' : 'ours';
+            const removing = versions[removedBy];
+            const keeping = versions[keptBy];
+            const isRemoved = nodeId => versions.base.has(nodeId) && !removing.has(nodeId) && keeping.has(nodeId);
+
+            // 沿某个版本的父节点链向上，找到最上层的被删节点
+            const findRemovedRoot = (nodeId, version) => {
+                let rootId = null;
+                let currentId = nodeId;
+                const visited = new Set();
+                while (currentId && !visited.has(currentId)) {
+                    visited.add(currentId);
+                    if (isRemoved(currentId)) rootId = currentId;
+                    const entry = version.get(currentId);
+                    currentId = entry ? entry.node.parentId : null;
+                }
+                return rootId;
+            };
+
+            const getGroup = (rootId) => {
+                if (!groups.has(rootId)) {
+                    groups.set(rootId, { rootId, removedBy, keptBy, nodeIds: [], modified: false });
+                }
+                return groups.get(rootId);
+            };
+
+            keeping.forEach((entry, nodeId) => {
+                const original = versions.base.get(nodeId);
+
+                if (isRemoved(nodeId)) {
+                    const group = getGroup(findRemovedRoot(nodeId, versions.base));
+                    group.nodeIds.push(nodeId);
+                    if (Object.keys(TRACKED_FIELDS).some(field => !isSameValue(original.node[field], entry.node[field]))) {
+                        group.modified = true;
+                    }
+                    return;
+                }
+
+                // 另一方在被删除的子树下新增节点，或把双方都有的节点移入这棵子树，也算修改
+                const rootId = findRemovedRoot(entry.node.parentId, keeping);
+                if (!rootId) return;
+
+                if (!original && !removing.has(nodeId)) {
+                    const group = getGroup(rootId);
+                    group.nodeIds.push(nodeId);
+                    group.modified = true;
+                } else if (original && original.node.parentId !== entry.node.parentId) {
+                    getGroup(rootId).modified = true;
+                }
+            });
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * 按冲突的选择生成合并后的文档
+     * @param {Object} result - merge的结果
+     * @param {Object} resolutions - 冲突key -> 'ours' | 'theirs'，未选择的冲突保留本地版本
+     * @returns {Object} { document: 文档（TreeManager.loadFromJSON的格式）, notices: 为保证树结构有效所做的调整 }
+     */
+    static resolve(result, resolutions = {}) {
+        const nodes = new Map([...result.nodes].map(([nodeId, node]) => [nodeId, { ...node }]));
+        const notices = [];
+
+        result.conflicts.forEach(conflict => {
+            const value = conflict[resolutions[conflict.key] === 'theirs' ? 'theirs' : 'ours'];
+
+            if (conflict.type === 'removed') {
+                (value || []).forEach(node => nodes.set(node.id, { ...node }));
+                return;
+            }
+
+            const node = nodes.get(conflict.nodeId);
+            if (node) node[conflict.field] = value;
+        });
+
+        // 父节点已不存在（如移入了被删除的子树）时，改用另一版本中的父节点，都不存在时挂到基础版本中最近的仍然存在的祖先下
+        nodes.forEach(node => {
+            if (!node.parentId || nodes.has(node.parentId)) return;
+
+            const candidates = ['ours', 'theirs', 'base']
+                .map(version => result.versions[version].get(node.id))
+                .filter(entry => entry && (!entry.node.parentId || nodes.has(entry.node.parentId)));
+
+            let parentId = node.parentId;
+            if (candidates.length > 0) {
+                parentId = candidates[0].node.parentId;
+            }
+            while (parentId && !nodes.has(parentId)) {
+                const original = result.versions.base.get(parentId);
+                parentId = original ? original.node.parentId : null;
+            }
+            node.parentId = parentId;
+            notices.push(`「${node.name}」的父节点已被删除，已移到${parentId ? `「${nodes.get(parentId).name}」下` : '根层级'}`);
+        });
+
+        // 双方的移动组合起来可能形成循环（如A移到B下、B移到A下），此时恢复到基础版本的位置
+        nodes.forEach(node => {
+            if (!this.hasCycle(nodes, node.id)) return;
+
+            const original = result.versions.base.get(node.id);
+            const originalParentId = original ? original.node.parentId : null;
+            node.parentId = originalParentId && nodes.has(originalParentId) ? originalParentId : null;
+            if (this.hasCycle(nodes, node.id)) {
+                node.parentId = null;
+            }
+            notices.push(`「${node.name}」的移动会形成循环，已恢复到原来的位置`);
+        });
+
+        return {
+            document: {
+                version: DOCUMENT_VERSION,
+                rootNodes: this.buildTree(nodes, result.versions),
+                selectedNodeId: null
+            },
+            notices
+        };
+    }
+
+    /**
+     * 节点的父节点链是否形成循环
+     * @param {Map} nodes - 节点ID -> 节点数据
+     * @param {string} nodeId - 节点ID
+     * @returns {boolean} 是否有循环
+     */
+    static hasCycle(nodes, nodeId) {
+        const visited = new Set();
+        let currentId = nodeId;
+        while (currentId) {
+            if (visited.has(currentId)) return true;
+            visited.add(currentId);
+            const node = nodes.get(currentId);
+            currentId = node ? node.parentId : null;
+        }
+        return false;
+    }
+
+    /**
+     * 把节点表组装为嵌套的节点树
+     * 兄弟节点的顺序以本地版本为准；本地没有调整某个父节点下的顺序而对方调整了时，采用对方的顺序
+     * @param {Map} nodes - 节点ID -> 节点数据
+     * @param {Object} versions - { base, ours, theirs } 节点表
+     * @returns {Array<Object>} 根节点
+     */
+    static buildTree(nodes, versions) {
+        const childrenOf = new Map(); // 父节点ID（根层级为null） -> 子节点数据
+        nodes.forEach(node => {
+            if (!childrenOf.has(node.parentId)) childrenOf.set(node.parentId, []);
+            childrenOf.get(node.parentId).push(node);
+        });
+
+        const sortChildren = (parentId, children) => {
+            const primary = !this.isOrderChanged(versions.base, versions.ours, parentId)
+                && this.isOrderChanged(versions.base, versions.theirs, parentId) ? 'theirs' : 'ours';
+            const secondary = primary === 'ours' ? 'theirs' : 'ours';
+
+            // 按主版本中的位置排序，主版本中不在这个父节点下的节点按另一版本（再按基础版本）的位置插入
+            const rank = (node) => {
+                for (const [order, version] of [primary, secondary, 'base'].entries()) {
+                    const entry = versions[version].get(node.id);
+                    if (entry && entry.node.parentId === parentId) return [entry.index, order];
+                }
+                return [Infinity, 3];
+            };
+
+            return children
+                .map(node => ({ node, rank: rank(node) }))
+                .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1])
+                .map(item => item.node);
+        };
+
+        const build = (parentId, depth) => sortChildren(parentId, childrenOf.get(parentId) || []).map(node => ({
+            ...node,
+            depth,
+            children: build(node.id, depth + 1)
+        }));
+
+        return build(null, 0);
+    }
+
+    /**
+     * 某个父节点下原有子节点的相对顺序是否被调整过
+     * @param {Map} base - 基础版本节点表
+     * @param {Map} version - 修改后的版本节点表
+     * @param {string|null} parentId - 父节点ID
+     * @returns {boolean} 是否调整过
+     */
+    static isOrderChanged(base, version, parentId) {
+        const orderOf = (nodes, others) => [...nodes]
+            .filter(([nodeId, entry]) => entry.node.parentId === parentId
+                && others.has(nodeId) && others.get(nodeId).node.parentId === parentId)
+            .sort((a, b) => a[1].index - b[1].index)
+            .map(([nodeId]) => nodeId);
+
+        return orderOf(base, version).join('\n') !== orderOf(version, base).join('\n');
+    }
+
+    /**
+     * 冲突的显示文字
+     * @param {Object} result - merge的结果
+     * @param {Object} conflict - 冲突
+     * @returns {Object} { title, ours, theirs }
+     */
+    static describeConflict(result, conflict) {
+        const nodeName = conflict.name || conflict.nodeId;
+
+        if (conflict.type === 'removed') {
+            const describe = (value) => (value
+                ? `保留（包含修改，共${value.length}个节点）`
+                : '删除');
+            return {
+                title: `「${nodeName}」被一方删除，另一方做了修改`,
+                ours: describe(conflict.ours),
+                theirs: describe(conflict.theirs)
+            };
+        }
+
+        const format = (value) => {
+            if (value === undefined || value === null || value === '') return '（空）';
+            if (conflict.field === 'parentId') return `「${result.names.get(value) || value}」下`;
+            if (Array.isArray(value)) return value.length > 0 ? value.join('，') : '（空）';
+            return String(value);
+        };
+
+        return {
+            title: `「${nodeName}」的${FIELD_LABELS[conflict.field]}（${CHANGE_LABELS[conflict.type]}）`,
+            ours: conflict.field === 'parentId' && !conflict.ours ? '根层级' : format(conflict.ours),
+            theirs: conflict.field === 'parentId' && !conflict.theirs ? '根层级' : format(conflict.theirs)
+        };
+    }
+
+    /**
+     * 按修改类型统计
+     * @param {Array<Object>} changes - diff的结果
+     * @returns {string} 如"新增3个、重命名1个"
+     */
+    static summarize(changes) {
+        const counts = new Map();
+        changes.forEach(change => counts.set(change.type, (counts.get(change.type) || 0) + 1));
+        return Object.keys(CHANGE_LABELS)
+            .filter(type => counts.has(type))
+            .map(type => `${CHANGE_LABELS[type]}${counts.get(type)}处`)
+            .join('、');
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TreeMerge;
+}
+
+// ES6模块导出
+export { TreeMerge };
\ No newline at end of file
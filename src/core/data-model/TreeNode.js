@@ -2,17 +2,7 @@
  * 树节点类
  * 扩展BaseNode，添加树操作特定功能
  */
-
-// 导入BaseNode
-let BaseNode;
-if (typeof window !== 'undefined') {
-    // 浏览器环境
-    BaseNode = window.BaseNode;
-} else {
-    // Node.js环境
-    const BaseNodeModule = await import('./BaseNode.js');
-    BaseNode = BaseNodeModule.BaseNode || BaseNodeModule.default;
-}
+import { BaseNode } from './BaseNode.js';
 
 class TreeNode extends BaseNode {
     /**
@@ -237,10 +227,11 @@ class TreeNode extends BaseNode {
     
     /**
      * 转换为ECharts旭日图数据格式
+     * 折叠的节点不输出子节点，只记录被隐藏的子节点、后代和叶子数量以及叶子的值之和
      * @returns {Object} ECharts数据项
      */
     toEChartsData() {
-        return {
+        const data = {
             name: this.name,
             value: this.value,
             id: this.id,
@@ -248,12 +239,30 @@ class TreeNode extends BaseNode {
             itemStyle: {
                 color: this.color
             },
-            children: this.children.map(child => child.toEChartsData())
+            children: []
         };
+        
+        if (this.collapsed && this.hasChildren()) {
+            data.collapsed = true;
+            data.childCount = this.children.length;
+            data.hiddenCount = this.getSubtreeSize() - 1;
+            data.hiddenLeafCount = this.getLeaves().length;
+            data.hiddenValue = this.getLeaves().reduce((total, leaf) => {
+                const value = Number(leaf.value);
+                return total + (Number.isFinite(value) && value > 0 ? value : 0);
+            }, 0);
+        } else {
+            data.children = this.children.map(child => child.toEChartsData());
+        }
+        
+        return data;
     }
 }
 
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = TreeNode;
-}
\ No newline at end of file
+}
+
+// ES6模块导出
+export { TreeNode };
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * 文件格式注册表
+ * 统一管理可导入/导出的文本格式：按ID、文件扩展名或内容识别格式，解析为树数据或从树生成文件内容
+ */
+import { DOCUMENT_VERSION } from '../data-model/DocumentSchema.js';
+import { MarkdownConverter } from './MarkdownConverter.js';
+import { FreeMindConverter } from './FreeMindConverter.js';
+import { IndentedTextConverter } from './IndentedTextConverter.js';
+import { OpmlConverter } from './OpmlConverter.js';
+import { XMindConverter } from './XMindConverter.js';
+
+// 格式ID -> 格式定义
+const formats = new Map();
+
+class FileFormats {
+    /**
+     * 注册格式
+     * @param {Object} format - 格式定义
+     * @param {string} format.id - 格式ID
+     * @param {string} format.label - 显示名称
+     * @param {Array<string>} format.extensions - 文件扩展名（含点，小写）
+     * @param {string} format.mimeType - 导出文件的MIME类型
+     * @param {string} format.filename - 固定的导出文件名（可选，默认使用第一个扩展名）
+     * @param {Function} format.detect - (text) => boolean，多个格式共用扩展名时按内容识别（可选）
+     * @param {Function} format.parse - (text) => { rootNodes, warnings }，可用于TreeManager.loadFromJSON的数据，warnings为可选的导入提示
+     * @param {boolean} format.native - 是否为本应用的文档格式（保留文件中的版本号，加载时按需迁移）
+     * @param {Function} format.serialize - (treeManager) => 文件内容
+     */
+    static register(format) {
+        if (!format || !format.id || typeof format.parse !== 'function' || typeof format.serialize !== 'function') {
+            throw new Error('文件格式必须包含id、parse和serialize');
+        }
+
+        formats.set(format.id, { extensions: [], mimeType: 'text/plain;charset=utf-8', ...format });
+    }
+
+    /**
+     * 按ID获取格式
+     * @param {string} id - 格式ID
+     * @returns {Object|null} 格式定义
+     */
+    static get(id) {
+        return formats.get(id) || null;
+    }
+
+    /**
+     * 获取所有格式
+     * @returns {Array<Object>} 格式定义
+     */
+    static list() {
+        return [...formats.values()];
+    }
+
+    /**
+     * 按文件名的扩展名查找格式
+     * @param {string} filename - 文件名
+     * @returns {Object|null} 格式定义
+     */
+    static findByFilename(filename) {
+        return this.findAllByFilename(filename)[0] || null;
+    }
+
+    /**
+     * 按文件名的扩展名查找所有匹配的格式
+     * @param {string} filename - 文件名
+     * @returns {Array<Object>} 格式定义，按注册顺序
+     */
+    static findAllByFilename(filename) {
+        const name = String(filename || '').toLowerCase();
+        return this.list().filter(format => format.extensions.some(extension => name.endsWith(extension)));
+    }
+
+    /**
+     * 按文件名和内容识别格式：扩展名匹配多个格式时，优先选择能识别该内容的格式
+     * 没有文件名（如粘贴的内容）时在所有格式中按内容识别，都不能识别时使用没有detect的格式（缩进文本）
+     * @param {string} filename - 文件名
+     * @param {string} text - 文件内容
+     * @returns {Object|null} 格式定义
+     */
+    static detect(filename, text) {
+        const candidates = filename ? this.findAllByFilename(filename) : this.list();
+        return candidates.find(format => format.detect && format.detect(text))
+            || candidates.find(format => !format.detect)
+            || candidates[0]
+            || null;
+    }
+
+    /**
+     * 获取文件选择框的accept属性
+     * @returns {string} 所有扩展名，逗号分隔
+     */
+    static getAcceptString() {
+        return [...new Set(this.list().flatMap(format => format.extensions))].join(',');
+    }
+
+    /**
+     * 解析文件内容
+     * @param {string} id - 格式ID
+     * @param {string} text - 文件内容
+     * @returns {Object} 树数据 { rootNodes, warnings }
+     */
+    static parse(id, text) {
+        const format = this.get(id);
+        if (!format) {
+            throw new Error(`不支持的文件格式: ${id}`);
+        }
+
+        // 本应用的文档可能来自旧版本，由加载时的迁移处理；其他格式的转换结果总是当前版本的结构
+        const data = format.parse(text);
+        return format.native || data.version ? data : { ...data, version: DOCUMENT_VERSION };
+    }
+
+    /**
+     * 生成文件内容
+     * @param {string} id - 格式ID
+     * @param {TreeManager} treeManager - 树管理器
+     * @returns {string} 文件内容
+     */
+    static serialize(id, treeManager) {
+        const format = this.get(id);
+        if (!format) {
+            throw new Error(`不支持的文件格式: ${id}`);
+        }
+
+        return format.serialize(treeManager);
+    }
+
+    /**
+     * 生成导出文件名
+     * @param {string} id - 格式ID
+     * @param {string} basename - 不含扩展名的文件名
+     * @returns {string} 文件名
+     */
+    static getFilename(id, basename = 'sunburst-mindmap') {
+        const format = this.get(id);
+        if (format && format.filename) {
+            return format.filename;
+        }
+
+        const extension = format && format.extensions.length > 0 ? format.extensions[0] : '.txt';
+        return basename + extension;
+    }
+}
+
+FileFormats.register({
+    id: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+    mimeType: 'application/json;charset=utf-8',
+    native: true,
+    detect: (text) => /^\s*\{/.test(text) && /"(rootNodes|data)"\s*:/.test(text),
+    parse: (text) => JSON.parse(text),
+    serialize: (treeManager) => JSON.stringify(treeManager.toJSON(), null, 2)
+});
+
+FileFormats.register({
+    id: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeType: 'text/markdown;charset=utf-8',
+    detect: (text) => !/^\s*[<{[]/.test(text) && /^(#{1,6}\s|\s*(?:[-*+]|\d+[.)])\s)/m.test(text),
+    parse: (text) => new MarkdownConverter().parse(text),
+    serialize: (treeManager) => new MarkdownConverter().stringify(treeManager.getRootNodes())
+});
+
+FileFormats.register({
+    id: 'opml',
+    label: 'OPML',
+    extensions: ['.opml'],
+    mimeType: 'text/x-opml;charset=utf-8',
+    detect: (text) => /<opml[\s>]/.test(text),
+    parse: (text) => new OpmlConverter().parse(text),
+    serialize: (treeManager) => new OpmlConverter().stringify(treeManager.getRootNodes())
+});
+
+FileFormats.register({
+    id: 'text',
+    label: '缩进文本',
+    extensions: ['.txt'],
+    parse: (text) => new IndentedTextConverter().parse(text),
+    serialize: (treeManager) => new IndentedTextConverter().stringify(treeManager.getRootNodes())
+});
+
+FileFormats.register({
+    id: 'freemind',
+    label: 'FreeMind',
+    extensions: ['.mm'],
+    mimeType: 'application/x-freemind;charset=utf-8',
+    detect: (text) => /<map[\s>]/.test(text),
+    parse: (text) => new FreeMindConverter().parse(text),
+    serialize: (treeManager) => new FreeMindConverter().stringify(treeManager.getRootNodes())
+});
+
+// .xmind文件是压缩包，这里读写的是包内的content.json
+FileFormats.register({
+    id: 'xmind',
+    label: 'XMind (content.json)',
+    extensions: ['.json'],
+    mimeType: 'application/json;charset=utf-8',
+    filename: 'content.json',
+    detect: (text) => XMindConverter.detect(text),
+    parse: (text) => new XMindConverter().parse(text),
+    serialize: (treeManager) => JSON.stringify(new XMindConverter().stringify(treeManager.getRootNodes()), null, 2)
+});
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileFormats;
+}
+
+// ES6模块导出
+export { FileFormats };
\ No newline at end of file
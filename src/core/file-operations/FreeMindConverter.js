@@ -0,0 +1,219 @@
+/**
+ * FreeMind转换器（.mm，Freeplane同样适用）
+ * 节点文本、备注、颜色、折叠状态分别对应名称、备注、颜色、折叠，标签保存为名为tags的属性
+ * 图标、字体、云形、关联线等不支持的内容在导入时忽略并记录到导入报告
+ */
+import { ImportReport } from './ImportReport.js';
+import { XmlUtils } from './XmlUtils.js';
+
+const FREEMIND_VERSION = '1.0.1';
+const TAGS_ATTRIBUTE = 'tags';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// 元素名称 -> 导入报告中的功能名称
+const UNSUPPORTED_ELEMENTS = {
+    icon: '图标',
+    font: '字体',
+    edge: '连线样式',
+    cloud: '云形',
+    arrowlink: '关联线',
+    hook: '插件',
+    attribute: '属性'
+};
+
+class FreeMindConverter {
+    /**
+     * 创建转换器
+     * @param {Object} options - 配置选项
+     * @param {string} options.rootName - 有多个根节点时，导出用的中心节点名称（FreeMind只允许一个中心节点）
+     */
+    constructor(options = {}) {
+        this.options = {
+            rootName: '旭日图思维导图',
+            ...options
+        };
+    }
+
+    /**
+     * 将节点树转换为FreeMind文件
+     * @param {Array<TreeNode|Object>} rootNodes - 根节点（TreeNode或其JSON）
+     * @returns {string} XML文本
+     */
+    stringify(rootNodes) {
+        const lines = [`<map version="${FREEMIND_VERSION}">`];
+
+        const writeNode = (node, depth) => {
+            const indent = '  '.repeat(depth);
+            const children = node.children || [];
+            const attributes = XmlUtils.formatAttributes({
+                ID: node.id,
+                TEXT: node.name || '',
+                BACKGROUND_COLOR: COLOR_PATTERN.test(node.color || '') ? node.color : null,
+                FOLDED: node.collapsed && children.length > 0 ? 'true' : null
+            });
+            const content = [];
+
+            if (node.notes) {
+                const paragraphs = String(node.notes).split('\n')
+                    .map(line => `<p>${XmlUtils.escape(line)}</p>`)
+                    .join('');
+                content.push(`${indent}  <richcontent TYPE="NOTE"><html><head></head><body>${paragraphs}</body></html></richcontent>`);
+            }
+
+            if (node.tags && node.tags.length > 0) {
+                content.push(`${indent}  <attribute NAME="${TAGS_ATTRIBUTE}" VALUE="${XmlUtils.escape(node.tags.join(', '))}"/>`);
+            }
+
+            if (content.length === 0 && children.length === 0) {
+                lines.push(`${indent}<node${attributes}/>`);
+                return;
+            }
+
+            lines.push(`${indent}<node${attributes}>`);
+            lines.push(...content);
+            children.forEach(child => writeNode(child, depth + 1));
+            lines.push(`${indent}</node>`);
+        };
+
+        if (rootNodes.length === 1) {
+            writeNode(rootNodes[0], 1);
+        } else {
+            writeNode({ name: this.options.rootName, children: rootNodes }, 1);
+        }
+
+        lines.push('</map>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 解析FreeMind文件为树数据
+     * @param {string} text - XML文本
+     * @returns {Object} 可用于TreeManager.loadFromJSON的数据 { rootNodes, warnings }
+     */
+    parse(text) {
+        const map = XmlUtils.parse(text, 'map');
+        const report = new ImportReport();
+        const rootNodes = XmlUtils.getChildElements(map, 'node').map(element => this.parseNode(element, report));
+
+        if (rootNodes.length === 0) {
+            throw new Error('FreeMind文件中没有节点');
+        }
+
+        return { rootNodes, warnings: report.getWarnings() };
+    }
+
+    /**
+     * 解析单个<node>元素
+     * @param {Element} element - node元素
+     * @param {ImportReport} report - 导入报告
+     * @returns {Object} 节点数据
+     */
+    parseNode(element, report) {
+        const node = {
+            name: element.getAttribute('TEXT') || '',
+            children: []
+        };
+
+        const id = element.getAttribute('ID');
+        if (id) node.id = id;
+
+        const color = element.getAttribute('BACKGROUND_COLOR') || element.getAttribute('COLOR');
+        if (color && COLOR_PATTERN.test(color)) node.color = color;
+
+        if (element.getAttribute('FOLDED') === 'true') node.collapsed = true;
+
+        if (element.getAttribute('LINK')) report.drop('链接');
+
+        XmlUtils.getChildElements(element).forEach(child => {
+            const name = child.nodeName;
+
+            if (name === 'node') {
+                node.children.push(this.parseNode(child, report));
+            } else if (name === 'richcontent') {
+                this.parseRichContent(child, node, report);
+            } else if (name === 'attribute' && child.getAttribute('NAME') === TAGS_ATTRIBUTE) {
+                node.tags = (child.getAttribute('VALUE') || '').split(',').map(tag => tag.trim()).filter(Boolean);
+            } else if (UNSUPPORTED_ELEMENTS[name]) {
+                report.drop(UNSUPPORTED_ELEMENTS[name]);
+            }
+        });
+
+        if (!node.name.trim()) {
+            node.name = '未命名节点';
+        }
+
+        return node;
+    }
+
+    /**
+     * 解析<richcontent>：备注转为纯文本，富文本节点内容转为纯文本名称
+     * @param {Element} element - richcontent元素
+     * @param {Object} node - 节点数据
+     * @param {ImportReport} report - 导入报告
+     */
+    parseRichContent(element, node, report) {
+        const type = element.getAttribute('TYPE');
+        const text = this.htmlToText(element);
+
+        if (type === 'NOTE') {
+            if (text) node.notes = text;
+        } else if (type === 'NODE') {
+            node.name = text.replace(/\s+/g, ' ').trim();
+            report.note('富文本节点已转换为纯文本');
+        } else {
+            report.drop('详细说明');
+        }
+    }
+
+    /**
+     * 提取HTML内容中的文本，段落和换行转为换行符
+     * @param {Element} element - 包含HTML的元素
+     * @returns {string} 纯文本
+     */
+    htmlToText(element) {
+        const lines = [];
+        let line = '';
+
+        const walk = (current) => {
+            Array.from(current.childNodes).forEach(child => {
+                if (child.nodeType === 3) {
+                    line += child.nodeValue.replace(/\s+/g, ' ');
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+
+                const name = child.nodeName.toLowerCase();
+                if (name === 'head') return;
+                if (name === 'br') {
+                    lines.push(line.trim());
+                    line = '';
+                    return;
+                }
+
+                const isBlock = ['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre'].includes(name);
+                if (isBlock && line.trim()) {
+                    lines.push(line.trim());
+                    line = '';
+                }
+                walk(child);
+                if (isBlock) {
+                    lines.push(line.trim());
+                    line = '';
+                }
+            });
+        };
+
+        walk(element);
+        lines.push(line.trim());
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FreeMindConverter;
+}
+
+// ES6模块导出
+export { FreeMindConverter };
\ No newline at end of file
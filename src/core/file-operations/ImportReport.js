@@ -0,0 +1,47 @@
+/**
+ * 导入报告
+ * 记录从其他工具导入时因不支持而丢弃的功能，供导入后提示用户
+ */
+class ImportReport {
+    constructor() {
+        this.dropped = new Map(); // 功能名称 -> 出现次数
+        this.notes = [];
+    }
+
+    /**
+     * 记录一处被丢弃的功能
+     * @param {string} feature - 功能名称
+     * @param {number} count - 次数
+     */
+    drop(feature, count = 1) {
+        if (count <= 0) return;
+        this.dropped.set(feature, (this.dropped.get(feature) || 0) + count);
+    }
+
+    /**
+     * 记录一条说明（如格式转换造成的变化）
+     * @param {string} message - 说明
+     */
+    note(message) {
+        if (!this.notes.includes(message)) {
+            this.notes.push(message);
+        }
+    }
+
+    /**
+     * 获取提示信息
+     * @returns {Array<string>} 每条一行
+     */
+    getWarnings() {
+        const warnings = [...this.dropped].map(([feature, count]) => `不支持的${feature}已忽略（${count}处）`);
+        return [...warnings, ...this.notes];
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportReport;
+}
+
+// ES6模块导出
+export { ImportReport };
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * 缩进文本转换器
+ * 每行一个节点，用制表符或空格缩进表示层级，行尾的 #标签 作为标签，以 > 开头的行作为上一个节点的备注
+ * （以 > 或列表符号开头的名称导出时在前面加 \ 转义）：
+ *
+ *   项目 #工作
+ *   	> 第一季度目标
+ *   	需求分析
+ *   	开发
+ */
+import { MarkdownConverter } from './MarkdownConverter.js';
+
+// 列表符号：- 名称、* 名称、• 名称（从其他应用复制时常带有）
+const BULLET_PATTERN = /^(?:[-*+•◦▪]\s+)/;
+// 备注行：> 备注
+const NOTE_PATTERN = /^>\s?(.*)$/;
+// 名称开头会被当作备注或列表符号的字符
+const LEADING_MARKER_PATTERN = /^(?:>|[-*+•◦▪]\s)/;
+// 转义后的名称开头：\> 名称、\- 名称
+const LEADING_ESCAPE_PATTERN = /^\\(?=>|[-*+•◦▪]\s)/;
+
+class IndentedTextConverter {
+    /**
+     * 创建转换器
+     * @param {Object} options - 配置选项
+     * @param {string} options.indent - 导出时每层的缩进
+     * @param {number} options.tabWidth - 导入时一个制表符相当于的空格数
+     */
+    constructor(options = {}) {
+        this.options = {
+            indent: '\t',
+            tabWidth: 4,
+            ...options
+        };
+
+        // 标签的写法与Markdown大纲相同
+        this.markdown = new MarkdownConverter({ tabWidth: this.options.tabWidth });
+    }
+
+    /**
+     * 将节点树转换为缩进文本
+     * @param {Array<TreeNode|Object>} rootNodes - 根节点（TreeNode或其JSON）
+     * @returns {string} 文本
+     */
+    stringify(rootNodes) {
+        const lines = [];
+
+        const writeNode = (node, depth) => {
+            const indent = this.options.indent.repeat(depth);
+            const title = this.markdown.formatTitle(node);
+            lines.push(indent + (LEADING_MARKER_PATTERN.test(title) ? `\\${title}` : title));
+
+            if (node.notes) {
+                String(node.notes).split('\n').forEach(line => {
+                    lines.push(`${indent}${this.options.indent}> ${line}`.trimEnd());
+                });
+            }
+
+            (node.children || []).forEach(child => writeNode(child, depth + 1));
+        };
+
+        rootNodes.forEach(root => writeNode(root, 0));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 解析缩进文本为树数据
+     * @param {string} text - 文本
+     * @returns {Object} 可用于TreeManager.loadFromJSON的数据 { rootNodes }
+     */
+    parse(text) {
+        const rootNodes = [];
+        const stack = []; // { node, indent }
+        let current = null;
+
+        String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const content = line.trim();
+            if (!content) return;
+
+            const note = content.match(NOTE_PATTERN);
+            if (note && current) {
+                current.notes = current.notes === undefined ? note[1] : `${current.notes}\n${note[1]}`;
+                return;
+            }
+
+            const indent = this.markdown.measureIndent(line.match(/^\s*/)[0]);
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+
+            const title = LEADING_ESCAPE_PATTERN.test(content) ? content.slice(1) : content.replace(BULLET_PATTERN, '');
+            const node = { ...this.markdown.parseTitle(title), children: [] };
+            if (stack.length > 0) {
+                stack[stack.length - 1].node.children.push(node);
+            } else {
+                rootNodes.push(node);
+            }
+
+            stack.push({ node, indent });
+            current = node;
+        });
+
+        return { rootNodes };
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndentedTextConverter;
+}
+
+// ES6模块导出
+export { IndentedTextConverter };
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Markdown大纲转换器
+ * 导出：前几层节点输出为标题，更深的节点输出为嵌套列表，备注输出为段落，标签输出为 #标签
+ *       （名称中的 # 和 \、标签中的 #、\ 和空格用 \ 转义；备注中以标题或列表标记开头的行转义为 \#、\-、1\.）
+ * 导入：按标题级别和列表缩进还原层级，标题/列表项之后的普通文本作为备注，行尾的 #标签 作为标签
+ */
+
+// 标题：# 名称（可带由空格隔开的结尾 #）
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+// 列表项：- 名称、* 名称、+ 名称、1. 名称（可带任务框 [ ] / [x]）
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+// 标题中以未转义空白分隔的片段（\ 转义的空白属于片段本身）
+const TITLE_TOKEN_PATTERN = /(?:\\\s|\\?\S)+/g;
+// 标签片段：未转义的 # 开头
+const TAG_TOKEN_PATTERN = /^#(?!#)\S/;
+// 转义序列：\ 加ASCII标点或空格
+const ESCAPE_PATTERN = /\\([!-\/:-@[-`{-~ ])/g;
+// 备注行开头的标题、无序列表标记（可能已带转义），反斜杠插入在标记之前
+const NOTE_MARKER_PATTERN = /^(\s*)(\\*)(?:#{1,6}\s|[-*+]\s)/;
+// 备注行开头的有序列表标记（可能已带转义），反斜杠插入在 . 或 ) 之前
+const NOTE_ORDERED_MARKER_PATTERN = /^(\s*\d+)(\\*)[.)]\s/;
+// 代码块的开始和结束
+const CODE_FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// 列表项的层级排在所有标题之后
+const LIST_LEVEL_BASE = 100;
+
+class MarkdownConverter {
+    /**
+     * 创建转换器
+     * @param {Object} options - 配置选项
+     * @param {number} options.headingDepth - 导出时输出为标题的层数（1-6），更深的节点输出为列表
+     * @param {number} options.tabWidth - 导入时一个制表符相当于的空格数
+     */
+    constructor(options = {}) {
+        this.options = {
+            headingDepth: 2,
+            tabWidth: 4,
+            ...options
+        };
+    }
+
+    /**
+     * 将节点树转换为Markdown
+     * @param {Array<TreeNode|Object>} rootNodes - 根节点（TreeNode或其JSON）
+     * @returns {string} Markdown文本
+     */
+    stringify(rootNodes) {
+        const headingDepth = Math.max(1, Math.min(6, this.options.headingDepth));
+        const blocks = [];
+        let listLines = [];
+
+        const flushList = () => {
+            if (listLines.length > 0) {
+                blocks.push(listLines.join('\n'));
+                listLines = [];
+            }
+        };
+
+        const writeNode = (node, depth) => {
+            const title = this.formatTitle(node);
+            const notes = node.notes ? this.escapeNoteLines(String(node.notes).split('\n')) : [];
+
+            if (depth < headingDepth) {
+                flushList();
+                blocks.push(`${'#'.repeat(depth + 1)} ${title}`);
+                if (notes.length > 0) {
+                    blocks.push(notes.join('\n'));
+                }
+            } else {
+                const indent = '  '.repeat(depth - headingDepth);
+                listLines.push(`${indent}- ${title}`);
+
+                // 列表项的备注缩进到列表内容的位置，段落之间保留空行
+                notes.forEach(line => {
+                    listLines.push(line.trim() ? `${indent}  ${line}` : '');
+                });
+            }
+
+            (node.children || []).forEach(child => writeNode(child, depth + 1));
+        };
+
+        rootNodes.forEach(root => writeNode(root, 0));
+        flushList();
+
+        return blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * 格式化标题行（名称 + 标签）
+     * @param {Object} node - 节点
+     * @returns {string} 标题文本
+     */
+    formatTitle(node) {
+        const name = String(node.name || '').replace(/\s+/g, ' ').trim().replace(/[\\#]/g, '\\$&');
+        const tags = (node.tags || [])
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .map(tag => `#${tag.replace(/[\\# ]/g, '\\$&')}`);
+
+        return [name, ...tags].join(' ');
+    }
+
+    /**
+     * 转义备注中以标题或列表标记开头的行，避免导入时被当作节点（代码块内的行原样保留）
+     * @param {Array<string>} lines - 备注行
+     * @returns {Array<string>} 转义后的行
+     */
+    escapeNoteLines(lines) {
+        let inCodeBlock = false;
+
+        return lines.map(line => {
+            if (CODE_FENCE_PATTERN.test(line)) {
+                inCodeBlock = !inCodeBlock;
+            }
+            if (inCodeBlock) return line;
+
+            const match = line.match(NOTE_MARKER_PATTERN) || line.match(NOTE_ORDERED_MARKER_PATTERN);
+            return match ? `${match[1]}\\${line.slice(match[1].length)}` : line;
+        });
+    }
+
+    /**
+     * 去掉备注行开头标记的一层转义（escapeNoteLines的逆操作）
+     * @param {string} line - 备注行
+     * @returns {string} 原始的行
+     */
+    unescapeNoteLine(line) {
+        const match = line.match(NOTE_MARKER_PATTERN) || line.match(NOTE_ORDERED_MARKER_PATTERN);
+        if (!match || !match[2]) return line;
+        return match[1] + line.slice(match[1].length + 1);
+    }
+
+    /**
+     * 解析Markdown为树数据
+     * @param {string} text - Markdown文本
+     * @returns {Object} 可用于TreeManager.loadFromJSON的数据 { rootNodes }
+     */
+    parse(text) {
+        const rootNodes = [];
+        const stack = []; // { node, level }
+        let current = null; // 最近的节点，普通文本作为它的备注
+        let noteLines = [];
+        let pendingBreak = false;
+        let inCodeBlock = false;
+
+        const flushNotes = () => {
+            if (current && noteLines.length > 0) {
+                current.notes = noteLines.join('\n');
+            }
+            noteLines = [];
+            pendingBreak = false;
+        };
+
+        const addNode = (title, level) => {
+            flushNotes();
+
+            while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            const node = { ...this.parseTitle(title), children: [] };
+            if (stack.length > 0) {
+                stack[stack.length - 1].node.children.push(node);
+            } else {
+                rootNodes.push(node);
+            }
+
+            stack.push({ node, level });
+            current = node;
+        };
+
+        String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            // 代码块原样保留在备注中
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+            }
+
+            if (!inCodeBlock) {
+                const heading = line.match(HEADING_PATTERN);
+                if (heading) {
+                    addNode(heading[2], heading[1].length);
+                    return;
+                }
+
+                const listItem = line.match(LIST_ITEM_PATTERN);
+                if (listItem) {
+                    addNode(listItem[2], LIST_LEVEL_BASE + this.measureIndent(listItem[1]));
+                    return;
+                }
+            }
+
+            if (!line.trim()) {
+                pendingBreak = noteLines.length > 0;
+                return;
+            }
+
+            // 第一个标题或列表项之前的文本没有归属，忽略
+            if (!current) return;
+
+            if (pendingBreak) {
+                noteLines.push('');
+                pendingBreak = false;
+            }
+            noteLines.push(inCodeBlock ? line : this.unescapeNoteLine(line.trim()));
+        });
+
+        flushNotes();
+
+        return { rootNodes };
+    }
+
+    /**
+     * 解析标题行中的名称和行尾标签（行尾连续的未转义 #标签 为标签，其余为名称）
+     * @param {string} title - 标题文本
+     * @returns {Object} { name, tags }
+     */
+    parseTitle(title) {
+        const text = title.trim();
+        const tokens = [...text.matchAll(TITLE_TOKEN_PATTERN)];
+
+        let first = tokens.length;
+        while (first > 0 && TAG_TOKEN_PATTERN.test(tokens[first - 1][0])) {
+            first--;
+        }
+
+        const unescape = value => value.replace(ESCAPE_PATTERN, '$1');
+        const tags = tokens.slice(first).map(token => unescape(token[0].slice(1)));
+        let name = unescape(text.slice(0, first < tokens.length ? tokens[first].index : text.length).trim());
+
+        // 只有标签的行以第一个标签作为名称
+        if (!name && tags.length > 0) {
+            name = tags.shift();
+        }
+
+        return { name: name || '未命名节点', tags };
+    }
+
+    /**
+     * 计算缩进宽度
+     * @param {string} indent - 行首空白
+     * @returns {number} 空格数
+     */
+    measureIndent(indent) {
+        let width = 0;
+        for (const char of indent) {
+            width += char === '\t' ? this.options.tabWidth : 1;
+        }
+        return width;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownConverter;
+}
+
+// ES6模块导出
+export { MarkdownConverter };
\ No newline at end of file
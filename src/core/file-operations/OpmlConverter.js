@@ -0,0 +1,139 @@
+/**
+ * OPML 2.0转换器
+ * 每个节点对应一个<outline>：名称为text属性，备注为_note属性，标签为category属性
+ * （逗号分隔，标签中的 ,、/ 和 \ 用 \ 转义）
+ * 链接等不支持的属性在导入时忽略并记录到导入报告
+ */
+import { ImportReport } from './ImportReport.js';
+import { XmlUtils } from './XmlUtils.js';
+
+// category中的一项（以未转义的逗号分隔）和路径中的一段（以未转义的斜杠分隔）
+const CATEGORY_ITEM_PATTERN = /(?:\\.|[^,\\])+/g;
+const CATEGORY_SEGMENT_PATTERN = /(?:\\.|[^/\\])+/g;
+
+// 属性名称 -> 导入报告中的功能名称
+const UNSUPPORTED_ATTRIBUTES = {
+    url: '链接',
+    htmlUrl: '链接',
+    xmlUrl: '订阅源'
+};
+
+class OpmlConverter {
+    /**
+     * 创建转换器
+     * @param {Object} options - 配置选项
+     * @param {string} options.title - 导出文档的标题（head中的title）
+     */
+    constructor(options = {}) {
+        this.options = {
+            title: '旭日图思维导图',
+            ...options
+        };
+    }
+
+    /**
+     * 将节点树转换为OPML
+     * @param {Array<TreeNode|Object>} rootNodes - 根节点（TreeNode或其JSON）
+     * @returns {string} XML文本
+     */
+    stringify(rootNodes) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '  <head>',
+            `    <title>${XmlUtils.escape(this.options.title)}</title>`,
+            `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+            '  </head>',
+            '  <body>'
+        ];
+
+        const writeNode = (node, depth) => {
+            const indent = '  '.repeat(depth);
+            const children = node.children || [];
+            const attributes = XmlUtils.formatAttributes({
+                text: node.name || '',
+                _note: node.notes || null,
+                category: node.tags && node.tags.length > 0
+                    ? node.tags.map(tag => String(tag).replace(/[\\,/]/g, '\\$&')).join(',')
+                    : null
+            });
+
+            if (children.length === 0) {
+                lines.push(`${indent}<outline${attributes}/>`);
+                return;
+            }
+
+            lines.push(`${indent}<outline${attributes}>`);
+            children.forEach(child => writeNode(child, depth + 1));
+            lines.push(`${indent}</outline>`);
+        };
+
+        rootNodes.forEach(root => writeNode(root, 2));
+
+        lines.push('  </body>', '</opml>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 解析OPML为树数据
+     * @param {string} text - XML文本
+     * @returns {Object} 可用于TreeManager.loadFromJSON的数据 { rootNodes, warnings }
+     */
+    parse(text) {
+        const opml = XmlUtils.parse(text, 'opml');
+        const body = XmlUtils.getChildElements(opml, 'body')[0];
+        if (!body) {
+            throw new Error('OPML文件缺少<body>');
+        }
+
+        const report = new ImportReport();
+        const rootNodes = XmlUtils.getChildElements(body, 'outline').map(element => this.parseOutline(element, report));
+
+        return { rootNodes, warnings: report.getWarnings() };
+    }
+
+    /**
+     * 解析单个<outline>元素
+     * @param {Element} element - outline元素
+     * @param {ImportReport} report - 导入报告
+     * @returns {Object} 节点数据
+     */
+    parseOutline(element, report) {
+        // 部分工具只写title属性
+        const name = (element.getAttribute('text') || element.getAttribute('title') || '').trim();
+        const node = {
+            name: name || '未命名节点',
+            children: XmlUtils.getChildElements(element, 'outline').map(child => this.parseOutline(child, report))
+        };
+
+        const notes = element.getAttribute('_note');
+        if (notes) node.notes = notes.replace(/\r\n?/g, '\n');
+
+        const category = element.getAttribute('category');
+        if (category) {
+            // 规范中的分类为斜杠分隔的路径（其他工具导出的文件），取最后一段作为标签；
+            // 本应用导出的标签中的斜杠已转义，整个标签保留
+            node.tags = (category.match(CATEGORY_ITEM_PATTERN) || [])
+                .map(item => (item.trim().match(CATEGORY_SEGMENT_PATTERN) || []).pop())
+                .filter(Boolean)
+                .map(tag => tag.trim().replace(/\\(.)/g, '$1'))
+                .filter(Boolean);
+        }
+
+        Object.keys(UNSUPPORTED_ATTRIBUTES).forEach(attribute => {
+            if (element.getAttribute(attribute)) {
+                report.drop(UNSUPPORTED_ATTRIBUTES[attribute]);
+            }
+        });
+
+        return node;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpmlConverter;
+}
+
+// ES6模块导出
+export { OpmlConverter };
\ No newline at end of file
@@ -0,0 +1,381 @@
+/**
+ * PDF导出器
+ * 在浏览器中直接生成PDF（不依赖服务器和第三方库）：
+ * 第一页为完整旭日图，之后每个第一层分支一页下钻图，最后是列出节点名称、备注和标签的大纲
+ * 页面内容都绘制为JPEG图片嵌入，中文无需嵌入字体
+ */
+import { DOMUtils } from '../utils/DOMUtils.js';
+
+// A4纸张尺寸（pt）
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+
+/**
+ * 将dataURL解码为字节数组
+ * @param {string} dataURL - base64编码的dataURL
+ * @returns {Uint8Array} 字节数组
+ */
+function dataURLToBytes(dataURL) {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * 从JPEG的SOF段读取图片像素尺寸
+ * @param {Uint8Array} bytes - JPEG数据
+ * @returns {Object} { width, height }
+ */
+function readJpegSize(bytes) {
+    let offset = 2; // 跳过SOI
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+        // SOF0-SOF15（不含DHT、JPG、DAC）
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+            };
+        }
+
+        offset += 2 + length;
+    }
+
+    throw new Error('无法读取JPEG图片尺寸');
+}
+
+/**
+ * 将文本编码为PDF文本字符串（UTF-16BE十六进制，支持中文）
+ * @param {string} text - 文本
+ * @returns {string} PDF字符串
+ */
+function toPdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+/**
+ * 生成PDF文件
+ * @param {Array<Object>} pages - 页面 { width, height, image: { bytes, width, height } }（尺寸单位pt，图片居中缩放）
+ * @param {Object} info - 文档信息 { title }
+ * @param {number} margin - 页边距（pt）
+ * @returns {Blob} PDF文件
+ */
+function createPdfBlob(pages, info, margin) {
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    // 字符串只含单字节字符，长度即字节数
+    const write = (chunk) => {
+        parts.push(chunk);
+        length += chunk.length;
+    };
+    const beginObject = (id) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // 对象编号：1 目录，2 页面树，3 文档信息，之后每页依次为 页面、内容流、图片
+    const pageIds = pages.map((page, index) => 4 + index * 3);
+    const objectCount = 3 + pages.length * 3;
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    beginObject(3);
+    write(`<< /Title ${toPdfTextString(info.title || '')} /Producer (Sunburst MindMap Editor) >>\nendobj\n`);
+
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const { image } = page;
+
+        // 图片按比例缩放到页边距以内并居中
+        const scale = Math.min((page.width - margin * 2) / image.width, (page.height - margin * 2) / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        const x = (page.width - drawWidth) / 2;
+        const y = (page.height - drawHeight) / 2;
+        const content = `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+
+        beginObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] /Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+
+        beginObject(pageId + 1);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        beginObject(pageId + 2);
+        write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`);
+        write(image.bytes);
+        write('\nendstream\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+    for (let id = 1; id <= objectCount; id++) {
+        xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    // 字符串按单字节写入（头部注释含非ASCII字符，用于标识二进制文件）
+    const blobParts = parts.map(part => typeof part === 'string'
+        ? Uint8Array.from(part, char => char.charCodeAt(0))
+        : part);
+
+    return new Blob(blobParts, { type: 'application/pdf' });
+}
+
+class PdfExporter {
+    /**
+     * 创建PDF导出器
+     * @param {Object} options - 配置选项
+     * @param {SunburstEngine} options.sunburstEngine - 旭日图引擎（用于绘制图表页）
+     * @param {TreeManager} options.treeManager - 树管理器（用于分支页和大纲页）
+     */
+    constructor(options = {}) {
+        this.options = {
+            sunburstEngine: null,
+            treeManager: null,
+            title: '旭日图思维导图',
+            margin: 36, // 页边距（pt）
+            chartWidth: 1100, // 图表页绘制尺寸（CSS像素），与A4横向页面比例相近
+            chartHeight: 760,
+            pixelRatio: 2,
+            outlineScale: 2, // 大纲页的像素/pt比例
+            jpegQuality: 0.92,
+            includeBranchPages: true,
+            includeOutline: true,
+            ...options
+        };
+
+        if (!this.options.sunburstEngine || !this.options.treeManager) {
+            throw new Error('PDF导出器需要sunburstEngine和treeManager');
+        }
+    }
+
+    /**
+     * 生成PDF并下载
+     * @param {string} filename - 文件名
+     * @returns {Promise<Blob>} PDF文件
+     */
+    exportToPDF(filename = 'sunburst-mindmap.pdf') {
+        return this.createPDF().then(blob => {
+            DOMUtils.downloadFile(blob, filename);
+            return blob;
+        });
+    }
+
+    /**
+     * 生成PDF
+     * @returns {Promise<Blob>} PDF文件
+     */
+    async createPDF() {
+        const pages = [];
+
+        pages.push(await this.renderChartPage({ title: this.options.title }));
+
+        if (this.options.includeBranchPages) {
+            for (const branch of this.getBranches()) {
+                // 被折叠隐藏的分支没有绘制数据，跳过
+                if (!this.options.sunburstEngine.hasRenderedNode(branch.id)) continue;
+
+                pages.push(await this.renderChartPage({ title: branch.name, rootNodeId: branch.id }));
+            }
+        }
+
+        if (this.options.includeOutline) {
+            this.renderOutlineCanvases().forEach(canvas => {
+                pages.push(this.createCanvasPage(canvas, A4_WIDTH, A4_HEIGHT));
+            });
+        }
+
+        return createPdfBlob(pages, { title: this.options.title }, this.options.margin);
+    }
+
+    /**
+     * 获取第一层分支（根节点的子节点）
+     * @returns {Array<TreeNode>} 分支节点
+     */
+    getBranches() {
+        const branches = [];
+        this.options.treeManager.getRootNodes().forEach(root => {
+            branches.push(...root.children);
+        });
+        return branches;
+    }
+
+    /**
+     * 绘制图表页（A4横向）
+     * @param {Object} options - 导出选项（title、rootNodeId）
+     * @returns {Promise<Object>} 页面
+     */
+    async renderChartPage(options) {
+        const dataURL = await this.options.sunburstEngine.renderImage({
+            ...options,
+            imageType: 'jpeg',
+            background: '#ffffff',
+            showLegend: true,
+            pixelRatio: this.options.pixelRatio,
+            width: this.options.chartWidth,
+            height: this.options.chartHeight
+        });
+
+        return this.createImagePage(dataURL, A4_HEIGHT, A4_WIDTH);
+    }
+
+    /**
+     * 将JPEG dataURL包装为页面
+     * @param {string} dataURL - JPEG图片
+     * @param {number} width - 页面宽度（pt）
+     * @param {number} height - 页面高度（pt）
+     * @returns {Object} 页面
+     */
+    createImagePage(dataURL, width, height) {
+        const bytes = dataURLToBytes(dataURL);
+        return { width, height, image: { bytes, ...readJpegSize(bytes) } };
+    }
+
+    /**
+     * 将画布包装为页面
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {number} width - 页面宽度（pt）
+     * @param {number} height - 页面高度（pt）
+     * @returns {Object} 页面
+     */
+    createCanvasPage(canvas, width, height) {
+        return this.createImagePage(canvas.toDataURL('image/jpeg', this.options.jpegQuality), width, height);
+    }
+
+    /**
+     * 将大纲绘制到A4纵向的画布上，一页放不下时自动分页
+     * @returns {Array<HTMLCanvasElement>} 每页一个画布
+     */
+    renderOutlineCanvases() {
+        const scale = this.options.outlineScale;
+        const margin = this.options.margin * scale;
+        const pageWidth = Math.round(A4_WIDTH * scale);
+        const pageHeight = Math.round(A4_HEIGHT * scale);
+        const indent = 16 * scale;
+
+        const fonts = {
+            heading: `bold ${18 * scale}px sans-serif`,
+            name: `bold ${11 * scale}px sans-serif`,
+            tags: `${9 * scale}px sans-serif`,
+            notes: `${9.5 * scale}px sans-serif`
+        };
+        const lineHeights = {
+            heading: 28 * scale,
+            name: 17 * scale,
+            tags: 14 * scale,
+            notes: 14 * scale
+        };
+        const colors = {
+            heading: '#222222',
+            name: '#222222',
+            tags: '#1e6fd9',
+            notes: '#666666'
+        };
+
+        const canvases = [];
+        let context = null;
+        let y = 0;
+
+        const newPage = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = pageWidth;
+            canvas.height = pageHeight;
+            canvases.push(canvas);
+
+            context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, pageWidth, pageHeight);
+            context.textBaseline = 'top';
+            y = margin;
+        };
+
+        const drawLines = (text, style, x) => {
+            context.font = fonts[style];
+            this.wrapText(context, text, pageWidth - margin - x).forEach(line => {
+                if (y + lineHeights[style] > pageHeight - margin) {
+                    newPage();
+                    context.font = fonts[style];
+                }
+                context.fillStyle = colors[style];
+                context.fillText(line, x, y);
+                y += lineHeights[style];
+            });
+        };
+
+        newPage();
+        drawLines('大纲', 'heading', margin);
+
+        const drawNode = (node, depth) => {
+            const x = margin + depth * indent;
+
+            drawLines(`• ${node.name}`, 'name', x);
+            if (node.tags && node.tags.length > 0) {
+                drawLines(node.tags.map(tag => `#${tag}`).join(' '), 'tags', x + indent);
+            }
+            if (node.notes) {
+                String(node.notes).split('\n').forEach(paragraph => drawLines(paragraph, 'notes', x + indent));
+            }
+
+            node.children.forEach(child => drawNode(child, depth + 1));
+        };
+
+        this.options.treeManager.getRootNodes().forEach(root => drawNode(root, 0));
+
+        return canvases;
+    }
+
+    /**
+     * 按宽度折行（逐字符测量，兼容没有空格的中文）
+     * @param {CanvasRenderingContext2D} context - 已设置字体的绘图上下文
+     * @param {string} text - 文本
+     * @param {number} maxWidth - 最大宽度（像素）
+     * @returns {Array<string>} 各行文本
+     */
+    wrapText(context, text, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        for (const char of text) {
+            if (line && context.measureText(line + char).width > maxWidth) {
+                lines.push(line);
+                line = char.trim() ? char : '';
+            } else {
+                line += char;
+            }
+        }
+
+        lines.push(line);
+        return lines;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfExporter;
+}
+
+// ES6模块导出
+export { PdfExporter };
\ No newline at end of file
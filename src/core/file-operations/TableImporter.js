@@ -0,0 +1,311 @@
+/**
+ * 表格导入器（CSV/TSV）
+ * 把 Region,Country,City,Value 这类表格转换为层级数据：
+ * 每行的若干层级列（或一个用分隔符连接的路径列）构成从根到叶的路径，数值列累加为节点的value
+ * 输出的数据可直接用于TreeManager.fromEChartsData
+ */
+
+const TABLE_EXTENSIONS = ['.csv', '.tsv', '.tab'];
+const DELIMITERS = ['\t', ',', ';', '|'];
+// 路径列常用的分隔符，按优先级排列
+const PATH_SEPARATORS = ['/', '>', '|', '\\'];
+// 数字：小数点为 . 时千位分隔符为 ,（1,234.5），小数点为 , 时千位分隔符为 .（1.234,5）
+const NUMBER_PATTERN = /^[-+]?(?:\d+(?:,\d{3})*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?%?$/i;
+const DECIMAL_COMMA_NUMBER_PATTERN = /^[-+]?(?:\d+(?:\.\d{3})*(?:,\d*)?|,\d+)(?:e[-+]?\d+)?%?$/i;
+
+class TableImporter {
+    /**
+     * 创建导入器
+     * @param {Object} options - 配置选项
+     * @param {string} options.delimiter - 列分隔符，为空时自动识别（制表符、逗号、分号、竖线）
+     * @param {boolean} options.hasHeader - 第一行是否为表头
+     */
+    constructor(options = {}) {
+        this.options = {
+            delimiter: '',
+            hasHeader: true,
+            ...options
+        };
+    }
+
+    /**
+     * 是否为表格文件
+     * @param {string} filename - 文件名
+     * @returns {boolean} 扩展名是否为.csv/.tsv/.tab
+     */
+    static isTableFile(filename) {
+        const name = String(filename || '').toLowerCase();
+        return TABLE_EXTENSIONS.some(extension => name.endsWith(extension));
+    }
+
+    /**
+     * 获取文件选择框的accept属性
+     * @returns {string} 表格文件扩展名，逗号分隔
+     */
+    static getAcceptString() {
+        return TABLE_EXTENSIONS.join(',');
+    }
+
+    /**
+     * 解析表格文本
+     * @param {string} text - CSV/TSV文本
+     * @returns {Object} { headers: Array<string>, rows: Array<Array<string>>, delimiter, decimalComma: 数字是否以逗号为小数点 }
+     */
+    parse(text) {
+        const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const delimiter = this.options.delimiter || this.detectDelimiter(source);
+        const records = this.splitRecords(source, delimiter)
+            .filter(record => record.some(cell => cell.trim() !== ''));
+
+        if (records.length === 0) {
+            throw new Error('表格中没有数据');
+        }
+
+        const columnCount = Math.max(...records.map(record => record.length));
+        const headerRecord = this.options.hasHeader ? records.shift() : [];
+        const headers = [];
+        for (let i = 0; i < columnCount; i++) {
+            headers.push((headerRecord[i] || '').trim() || `第${i + 1}列`);
+        }
+
+        const rows = records.map(record => headers.map((header, i) => (record[i] || '').trim()));
+
+        return { headers, rows, delimiter, decimalComma: this.detectDecimalComma(rows, delimiter) };
+    }
+
+    /**
+     * 识别数字是否以逗号为小数点（如 1,5 或 1.234,5）
+     * 只有分隔符不是逗号时才可能；按只符合其中一种写法的单元格数量判断，
+     * 无法区分时（如 1,234）分号分隔的表格按逗号小数处理（常见于欧洲地区的导出）
+     * @param {Array<Array<string>>} rows - 行
+     * @param {string} delimiter - 列分隔符
+     * @returns {boolean} 是否以逗号为小数点
+     */
+    detectDecimalComma(rows, delimiter) {
+        if (delimiter === ',') return false;
+
+        let commaOnly = 0;
+        let dotOnly = 0;
+        rows.forEach(row => row.forEach(value => {
+            const comma = DECIMAL_COMMA_NUMBER_PATTERN.test(value);
+            const dot = NUMBER_PATTERN.test(value);
+            if (comma && !dot) commaOnly++;
+            if (dot && !comma) dotOnly++;
+        }));
+
+        return commaOnly > dotOnly || (commaOnly === dotOnly && delimiter === ';');
+    }
+
+    /**
+     * 根据第一行识别列分隔符
+     * @param {string} text - 表格文本
+     * @returns {string} 分隔符
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split('\n').find(line => line.trim()) || '';
+        const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? DELIMITERS[best] : ',';
+    }
+
+    /**
+     * 按RFC 4180拆分记录：引号内可以包含分隔符、换行和转义的引号（""）
+     * @param {string} text - 表格文本
+     * @param {string} delimiter - 列分隔符
+     * @returns {Array<Array<string>>} 记录
+     */
+    splitRecords(text, delimiter) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * 推测列的用途：最后一个数值列作为数值列；
+     * 只剩一列且包含路径分隔符时按路径列处理，否则其余列依次作为层级
+     * @param {Object} table - parse()的结果
+     * @returns {Object} 列设置，见buildTree的mapping参数
+     */
+    guessMapping(table) {
+        const numericColumns = table.headers
+            .map((header, index) => index)
+            .filter(index => this.isNumericColumn(table, index));
+        const valueColumn = numericColumns.length > 0 && numericColumns.length < table.headers.length
+            ? numericColumns[numericColumns.length - 1]
+            : -1;
+        const levelColumns = table.headers
+            .map((header, index) => index)
+            .filter(index => index !== valueColumn);
+
+        if (levelColumns.length === 1) {
+            const values = table.rows.map(row => row[levelColumns[0]]);
+            const pathSeparator = PATH_SEPARATORS.find(separator => values.some(value => value.includes(separator)));
+            if (pathSeparator) {
+                return { mode: 'path', levelColumns, pathColumn: levelColumns[0], pathSeparator, valueColumn };
+            }
+        }
+
+        return { mode: 'columns', levelColumns, pathColumn: levelColumns[0], pathSeparator: '/', valueColumn };
+    }
+
+    /**
+     * 某一列是否为数值列：非空值中至少80%是数字（容忍个别录入错误，这些行导入时跳过）
+     * @param {Object} table - 表格
+     * @param {number} index - 列序号
+     * @returns {boolean} 是否为数值列
+     */
+    isNumericColumn(table, index) {
+        const values = table.rows.map(row => row[index]).filter(value => value !== '');
+        const pattern = table.decimalComma ? DECIMAL_COMMA_NUMBER_PATTERN : NUMBER_PATTERN;
+        const numbers = values.filter(value => pattern.test(value));
+        return values.length > 0 && numbers.length >= values.length * 0.8;
+    }
+
+    /**
+     * 解析单元格中的数字（允许千位分隔符和百分号）
+     * @param {string} value - 单元格内容
+     * @param {boolean} decimalComma - 是否以逗号为小数点
+     * @returns {number} 数字，无法解析时为NaN
+     */
+    parseNumber(value, decimalComma = false) {
+        const text = String(value || '').trim();
+        if (decimalComma) {
+            if (!DECIMAL_COMMA_NUMBER_PATTERN.test(text)) return NaN;
+            return parseFloat(text.replace(/\./g, '').replace(',', '.').replace(/%$/, ''));
+        }
+        if (!NUMBER_PATTERN.test(text)) return NaN;
+        return parseFloat(text.replace(/,/g, '').replace(/%$/, ''));
+    }
+
+    /**
+     * 按列设置把表格转换为层级数据
+     * 同一父节点下名称相同的路径合并为一个节点；层级列中间的空单元格表示路径在此结束
+     * @param {Object} table - parse()的结果
+     * @param {Object} mapping - 列设置
+     * @param {string} mapping.mode - columns：多个层级列；path：单个路径列
+     * @param {Array<number>} mapping.levelColumns - 层级列的序号，按层级从外到内排列（columns模式）
+     * @param {number} mapping.pathColumn - 路径列的序号（path模式）
+     * @param {string} mapping.pathSeparator - 路径分隔符（path模式）
+     * @param {number} mapping.valueColumn - 数值列的序号，-1表示按行计数
+     * @returns {Object} { data: ECharts数据数组（name、value、children）, rowCount, skippedRows }
+     */
+    buildTree(table, mapping) {
+        const roots = [];
+        const childIndex = new Map(); // 节点数组 -> Map<名称, 节点>
+        let rowCount = 0;
+        let skippedRows = 0;
+
+        const getChild = (siblings, name) => {
+            if (!childIndex.has(siblings)) {
+                childIndex.set(siblings, new Map());
+            }
+
+            const index = childIndex.get(siblings);
+            if (!index.has(name)) {
+                const node = { name, value: 0, children: [] };
+                index.set(name, node);
+                siblings.push(node);
+            }
+            return index.get(name);
+        };
+
+        table.rows.forEach(row => {
+            const path = this.getRowPath(row, mapping);
+            const value = mapping.valueColumn >= 0 ? this.parseNumber(row[mapping.valueColumn], table.decimalComma) : 1;
+
+            // 没有路径或数值无效的行跳过（0和负数无法显示为扇区）
+            if (path.length === 0 || !(value > 0)) {
+                skippedRows++;
+                return;
+            }
+
+            let siblings = roots;
+            path.forEach(name => {
+                const node = getChild(siblings, name);
+                node.value += value;
+                siblings = node.children;
+            });
+            rowCount++;
+        });
+
+        // 叶子节点不保留空的children，与ECharts数据格式一致
+        const finalize = (nodes) => nodes.forEach(node => {
+            if (node.children.length === 0) {
+                delete node.children;
+            } else {
+                finalize(node.children);
+            }
+        });
+        finalize(roots);
+
+        return { data: roots, rowCount, skippedRows };
+    }
+
+    /**
+     * 获取一行数据对应的路径
+     * @param {Array<string>} row - 行
+     * @param {Object} mapping - 列设置
+     * @returns {Array<string>} 从根到叶的节点名称
+     */
+    getRowPath(row, mapping) {
+        const cells = mapping.mode === 'path'
+            ? String(row[mapping.pathColumn] || '').split(mapping.pathSeparator || '/')
+            : mapping.levelColumns.map(index => row[index]);
+
+        const path = [];
+        for (const cell of cells) {
+            const name = String(cell || '').trim();
+            if (!name) {
+                // 路径列中的首尾分隔符（如 /a/b/）只产生空段，跳过即可；层级列出现空值时路径到此为止
+                if (mapping.mode === 'path') continue;
+                break;
+            }
+            path.push(name);
+        }
+        return path;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableImporter;
+}
+
+// ES6模块导出
+export { TableImporter };
\ No newline at end of file
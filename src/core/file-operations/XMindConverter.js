@@ -0,0 +1,165 @@
+/**
+ * XMind转换器（XMind Zen / 2020及以后版本 .xmind 包内的 content.json）
+ * 主题标题、备注、填充色、折叠状态、标签分别对应名称、备注、颜色、折叠、标签，每个画布的中心主题作为一个根节点
+ * 标记、图片、链接、关联线、外框、概要、自由主题等不支持的内容在导入时忽略并记录到导入报告
+ */
+import { ImportReport } from './ImportReport.js';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const FILL_PROPERTY = 'svg:fill';
+
+// 主题字段 -> 导入报告中的功能名称
+const UNSUPPORTED_TOPIC_FIELDS = {
+    markers: '标记',
+    image: '图片',
+    href: '链接',
+    boundaries: '外框',
+    summaries: '概要',
+    numbering: '编号'
+};
+
+class XMindConverter {
+    /**
+     * 判断文本是否为XMind的content.json
+     * @param {string} text - 文件内容
+     * @returns {boolean} 是否包含中心主题
+     */
+    static detect(text) {
+        return /"rootTopic"\s*:/.test(String(text).slice(0, 4096));
+    }
+
+    /**
+     * 将节点树转换为content.json
+     * @param {Array<TreeNode|Object>} rootNodes - 根节点（TreeNode或其JSON）
+     * @returns {Array<Object>} 画布数组，每个根节点一个画布
+     */
+    stringify(rootNodes) {
+        return rootNodes.map((root, index) => ({
+            id: `sheet-${root.id || index + 1}`,
+            class: 'sheet',
+            title: root.name || `画布 ${index + 1}`,
+            rootTopic: this.createTopic(root)
+        }));
+    }
+
+    /**
+     * 将节点转换为主题
+     * @param {Object} node - 节点
+     * @returns {Object} XMind主题
+     */
+    createTopic(node) {
+        const children = node.children || [];
+        const topic = {
+            id: node.id,
+            class: 'topic',
+            title: node.name || ''
+        };
+
+        if (node.notes) {
+            topic.notes = { plain: { content: String(node.notes) } };
+        }
+
+        if (node.tags && node.tags.length > 0) {
+            topic.labels = [...node.tags];
+        }
+
+        if (COLOR_PATTERN.test(node.color || '')) {
+            topic.style = { properties: { [FILL_PROPERTY]: node.color } };
+        }
+
+        if (node.collapsed && children.length > 0) {
+            topic.branch = 'folded';
+        }
+
+        if (children.length > 0) {
+            topic.children = { attached: children.map(child => this.createTopic(child)) };
+        }
+
+        return topic;
+    }
+
+    /**
+     * 解析content.json为树数据
+     * @param {string|Array|Object} content - content.json文本，或已解析的画布数组/单个画布
+     * @returns {Object} 可用于TreeManager.loadFromJSON的数据 { rootNodes, warnings }
+     */
+    parse(content) {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+        const sheets = Array.isArray(data) ? data : [data];
+        const report = new ImportReport();
+
+        const rootNodes = sheets
+            .filter(sheet => sheet && sheet.rootTopic)
+            .map(sheet => {
+                if (Array.isArray(sheet.relationships)) {
+                    report.drop('关联线', sheet.relationships.length);
+                }
+                return this.parseTopic(sheet.rootTopic, report);
+            });
+
+        if (rootNodes.length === 0) {
+            throw new Error('不是XMind的content.json：缺少rootTopic');
+        }
+
+        return { rootNodes, warnings: report.getWarnings() };
+    }
+
+    /**
+     * 解析单个主题
+     * @param {Object} topic - XMind主题
+     * @param {ImportReport} report - 导入报告
+     * @returns {Object} 节点数据
+     */
+    parseTopic(topic, report) {
+        const node = {
+            name: String(topic.title || '').trim() || '未命名节点',
+            children: []
+        };
+
+        if (topic.id) node.id = String(topic.id);
+
+        const notes = topic.notes && topic.notes.plain && topic.notes.plain.content;
+        if (notes) node.notes = String(notes).replace(/\r\n?/g, '\n').trim();
+
+        if (Array.isArray(topic.labels) && topic.labels.length > 0) {
+            node.tags = topic.labels.map(label => String(label).trim()).filter(Boolean);
+        }
+
+        const properties = (topic.style && topic.style.properties) || {};
+        if (COLOR_PATTERN.test(properties[FILL_PROPERTY] || '')) {
+            node.color = properties[FILL_PROPERTY];
+        }
+        if (Object.keys(properties).some(name => name !== FILL_PROPERTY)) {
+            report.drop('样式');
+        }
+
+        if (topic.branch === 'folded') node.collapsed = true;
+
+        Object.keys(UNSUPPORTED_TOPIC_FIELDS).forEach(field => {
+            const value = topic[field];
+            if (value && (!Array.isArray(value) || value.length > 0)) {
+                report.drop(UNSUPPORTED_TOPIC_FIELDS[field], Array.isArray(value) ? value.length : 1);
+            }
+        });
+
+        const children = topic.children || {};
+        (children.attached || []).forEach(child => {
+            node.children.push(this.parseTopic(child, report));
+        });
+
+        // 自由主题不属于任何分支，无法在旭日图中表示
+        if (Array.isArray(children.detached)) {
+            report.drop('自由主题', children.detached.length);
+        }
+
+        return node;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMindConverter;
+}
+
+// ES6模块导出
+export { XMindConverter };
\ No newline at end of file
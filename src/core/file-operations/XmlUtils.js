@@ -0,0 +1,70 @@
+/**
+ * XML工具函数
+ * 供FreeMind、OPML等XML格式的转换器使用
+ */
+class XmlUtils {
+    /**
+     * 解析XML文本
+     * @param {string} text - XML文本
+     * @param {string} rootName - 期望的根元素名称
+     * @returns {Element} 根元素
+     */
+    static parse(text, rootName) {
+        const doc = new DOMParser().parseFromString(String(text), 'application/xml');
+
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XML格式错误');
+        }
+
+        const root = doc.documentElement;
+        if (rootName && (!root || root.nodeName !== rootName)) {
+            throw new Error(`缺少根元素 <${rootName}>`);
+        }
+
+        return root;
+    }
+
+    /**
+     * 获取指定名称的直接子元素
+     * @param {Element} element - 父元素
+     * @param {string} name - 子元素名称
+     * @returns {Array<Element>} 子元素
+     */
+    static getChildElements(element, name) {
+        return Array.from(element.children).filter(child => !name || child.nodeName === name);
+    }
+
+    /**
+     * 转义属性值和文本中的特殊字符
+     * @param {*} value - 值
+     * @returns {string} 转义后的文本
+     */
+    static escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '&#10;');
+    }
+
+    /**
+     * 生成属性字符串，忽略空值
+     * @param {Object} attributes - 属性名 -> 值
+     * @returns {string} 以空格开头的属性字符串
+     */
+    static formatAttributes(attributes) {
+        return Object.keys(attributes)
+            .filter(name => attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== '')
+            .map(name => ` ${name}="${this.escape(attributes[name])}"`)
+            .join('');
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XmlUtils;
+}
+
+// ES6模块导出
+export { XmlUtils };
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * 面包屑导航栏
+ * 显示当前下钻聚焦的节点路径，点击祖先节点返回到该层
+ */
+class BreadcrumbBar {
+    /**
+     * 创建面包屑导航栏
+     * @param {Object} options - 配置选项
+     */
+    constructor(options = {}) {
+        this.options = {
+            barId: 'breadcrumb-bar',
+            rootLabel: '全部',
+            separator: '›',
+            ...options
+        };
+
+        this.bar = null;
+        this.path = [];
+
+        // 事件监听器
+        this.eventListeners = new Map();
+
+        // 初始化
+        this.init();
+    }
+
+    /**
+     * 初始化导航栏
+     */
+    init() {
+        this.bar = document.getElementById(this.options.barId);
+
+        if (!this.bar) {
+            console.warn(`面包屑导航栏元素未找到: ${this.options.barId}`);
+            return;
+        }
+
+        this.bar.setAttribute('aria-label', '当前位置');
+
+        // 绑定事件
+        this.bindEvents();
+
+        this.render([]);
+        this.emit('initialized', { bar: this.bar });
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        this.bar.addEventListener('click', (event) => {
+            const item = event.target.closest('.breadcrumb-item');
+            if (!item || item.classList.contains('current')) return;
+
+            const nodeId = item.getAttribute('data-node-id') || null;
+            this.emit('navigate', { nodeId });
+        });
+    }
+
+    /**
+     * 渲染路径
+     * @param {Array<Object>} path - 从根节点到聚焦节点的路径 [{ id, name }]，为空表示显示全部
+     */
+    render(path) {
+        if (!this.bar) return;
+
+        this.path = path;
+        this.bar.innerHTML = '';
+
+        const items = [{ id: '', name: this.options.rootLabel }, ...path];
+        items.forEach((step, index) => {
+            if (index > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'breadcrumb-separator';
+                separator.textContent = this.options.separator;
+                this.bar.appendChild(separator);
+            }
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'breadcrumb-item';
+            item.setAttribute('data-node-id', step.id || '');
+            item.textContent = step.name;
+
+            if (index === items.length - 1) {
+                item.classList.add('current');
+                item.setAttribute('aria-current', 'location');
+            } else {
+                item.title = `返回到 ${step.name}`;
+            }
+
+            this.bar.appendChild(item);
+        });
+
+        this.bar.classList.toggle('focused', path.length > 0);
+    }
+
+    /**
+     * 事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(listener);
+    }
+
+    /**
+     * 移除事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    off(event, listener) {
+        if (!this.eventListeners.has(event)) return;
+
+        const listeners = this.eventListeners.get(event);
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * 触发事件
+     * @param {string} event - 事件名称
+     * @param {Object} data - 事件数据
+     */
+    emit(event, data = {}) {
+        if (!this.eventListeners.has(event)) return;
+
+        const listeners = this.eventListeners.get(event);
+        listeners.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`事件监听器错误 (${event}):`, error);
+            }
+        });
+    }
+
+    /**
+     * 销毁导航栏
+     */
+    destroy() {
+        if (this.bar) {
+            this.bar.innerHTML = '';
+        }
+
+        this.eventListeners.clear();
+        this.path = [];
+        this.bar = null;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BreadcrumbBar;
+}
+
+// ES6模块导出
+export { BreadcrumbBar };
\ No newline at end of file
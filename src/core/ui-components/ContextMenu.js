@@ -12,7 +12,7 @@ class ContextMenu {
             menuId: 'contextMenu',
             animationDuration: 200,
             autoHide: true,
-            maxItems: 15,
+            maxItems: 20,
             ...options
         };
         
@@ -37,6 +37,10 @@ class ContextMenu {
         if (!this.menu) {
             console.warn(`右键菜单元素未找到: ${this.options.menuId}`);
             this.createMenuElement();
+        } else if (!this.menu.querySelector('.context-menu-list')) {
+            const menuList = document.createElement('ul');
+            menuList.className = 'context-menu-list';
+            this.menu.appendChild(menuList);
         }
         
         // 绑定事件
@@ -88,7 +92,7 @@ class ContextMenu {
         // 菜单项点击事件
         this.menu.addEventListener('click', (event) => {
             const menuItem = event.target.closest('.context-menu-item');
-            if (menuItem) {
+            if (menuItem && !menuItem.classList.contains('disabled')) {
                 event.preventDefault();
                 event.stopPropagation();
                 
@@ -127,7 +131,7 @@ class ContextMenu {
         this.isVisible = true;
         
         // 添加显示动画
-        this.menu.classList.add('visible');
+        this.menu.classList.add('active');
         
         this.emit('shown', { x, y, context });
     }
@@ -139,7 +143,7 @@ class ContextMenu {
         if (!this.menu || !this.isVisible) return;
         
         // 添加隐藏动画
-        this.menu.classList.remove('visible');
+        this.menu.classList.remove('active');
         
         setTimeout(() => {
             this.menu.style.display = 'none';
@@ -224,7 +228,7 @@ class ContextMenu {
      * @returns {Array} 菜单项数组
      */
     getContextMenuItems(context) {
-        const { nodeType = 'node', hasChildren = false, isRoot = false } = context;
+        const { nodeType = 'node', hasChildren = false, isRoot = false, canPaste = false, selectionCount = 0, isCollapsed = false } = context;
         
         const baseItems = [
             {
@@ -250,9 +254,111 @@ class ContextMenu {
                 action: 'delete',
                 enabled: !isRoot, // 根节点不能删除
                 visible: true
+            },
+            {
+                id: 'focus',
+                label: '聚焦到此节点',
+                icon: 'fas fa-crosshairs',
+                action: 'focus',
+                enabled: true,
+                visible: true
+            },
+            {
+                id: 'separator-clipboard',
+                type: 'separator'
+            },
+            {
+                id: 'copy',
+                label: '复制',
+                icon: 'fas fa-copy',
+                action: 'copy',
+                shortcut: 'Ctrl+C',
+                enabled: true,
+                visible: true
+            },
+            {
+                id: 'cut',
+                label: '剪切',
+                icon: 'fas fa-cut',
+                action: 'cut',
+                shortcut: 'Ctrl+X',
+                enabled: !isRoot,
+                visible: true
+            },
+            {
+                id: 'paste',
+                label: '粘贴为子节点',
+                icon: 'fas fa-paste',
+                action: 'paste',
+                shortcut: 'Ctrl+V',
+                enabled: canPaste,
+                visible: true
+            },
+            {
+                id: 'duplicate',
+                label: '创建副本',
+                icon: 'fas fa-clone',
+                action: 'duplicate',
+                shortcut: 'Ctrl+D',
+                enabled: true,
+                visible: true
+            },
+            {
+                id: 'separator-selection',
+                type: 'separator'
+            },
+            {
+                id: 'select-subtree',
+                label: '选择子树',
+                icon: 'fas fa-sitemap',
+                action: 'select-subtree',
+                enabled: true,
+                visible: true
+            },
+            {
+                id: 'select-by-tag',
+                label: '按标签选择...',
+                icon: 'fas fa-tags',
+                action: 'select-by-tag',
+                enabled: true,
+                visible: true
             }
         ];
         
+        // 多选时的批量操作
+        if (selectionCount > 1) {
+            baseItems.push(
+                {
+                    id: 'separator-bulk',
+                    type: 'separator'
+                },
+                {
+                    id: 'delete-selected',
+                    label: `删除选中的${selectionCount}个节点`,
+                    icon: 'fas fa-trash-alt',
+                    action: 'delete-selected',
+                    enabled: true,
+                    visible: true
+                },
+                {
+                    id: 'recolor-selected',
+                    label: '设置选中节点颜色...',
+                    icon: 'fas fa-fill-drip',
+                    action: 'recolor-selected',
+                    enabled: true,
+                    visible: true
+                },
+                {
+                    id: 'tag-selected',
+                    label: '为选中节点添加标签...',
+                    icon: 'fas fa-tag',
+                    action: 'tag-selected',
+                    enabled: true,
+                    visible: true
+                }
+            );
+        }
+        
         if (hasChildren) {
             baseItems.push(
                 {
@@ -272,7 +378,7 @@ class ContextMenu {
                     label: '收起所有子节点',
                     icon: 'fas fa-compress',
                     action: 'collapse',
-                    enabled: true,
+                    enabled: !isCollapsed,
                     visible: true
                 }
             );
@@ -377,12 +483,38 @@ class ContextMenu {
             case 'delete':
                 this.emit('deleteRequested', context);
                 break;
+            case 'focus':
+                this.emit('focusRequested', context);
+                break;
             case 'expand':
                 this.emit('expandRequested', context);
                 break;
             case 'collapse':
                 this.emit('collapseRequested', context);
                 break;
+            case 'copy':
+                this.emit('copyRequested', context);
+                break;
+            case 'cut':
+                this.emit('cutRequested', context);
+                break;
+            case 'paste':
+                this.emit('pasteRequested', context);
+                break;
+            case 'duplicate':
+                this.emit('duplicateRequested', context);
+                break;
+            case 'select-subtree':
+                this.emit('selectSubtreeRequested', context);
+                break;
+            case 'select-by-tag':
+                this.emit('selectByTagRequested', context);
+                break;
+            case 'delete-selected':
+            case 'recolor-selected':
+            case 'tag-selected':
+                this.emit('bulkActionRequested', context);
+                break;
         }
     }
     
@@ -0,0 +1,177 @@
+/**
+ * 历史记录面板
+ * 以时间线显示所有历史步骤（含备选分支），点击任意步骤跳转
+ */
+class HistoryPanel {
+    /**
+     * 创建历史记录面板
+     * @param {Object} options - 配置选项
+     */
+    constructor(options = {}) {
+        this.options = {
+            panelId: 'history-panel',
+            indentSize: 14,
+            ...options
+        };
+
+        this.panel = null;
+        this.list = null;
+        this.timeline = [];
+
+        // 事件监听器
+        this.eventListeners = new Map();
+
+        // 初始化
+        this.init();
+    }
+
+    /**
+     * 初始化面板
+     */
+    init() {
+        this.panel = document.getElementById(this.options.panelId);
+
+        if (!this.panel) {
+            console.warn(`历史记录面板元素未找到: ${this.options.panelId}`);
+            return;
+        }
+
+        this.list = document.createElement('ul');
+        this.list.className = 'history-list';
+        this.panel.appendChild(this.list);
+
+        // 绑定事件
+        this.bindEvents();
+
+        this.emit('initialized', { panel: this.panel });
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        this.list.addEventListener('click', (event) => {
+            const item = event.target.closest('.history-item');
+            if (!item || item.classList.contains('current')) return;
+
+            const entryId = item.getAttribute('data-entry-id') || null;
+            this.emit('jumpRequested', { entryId });
+        });
+    }
+
+    /**
+     * 渲染时间线
+     * @param {Array<Object>} timeline - HistoryManager.getTimeline()返回的时间线
+     */
+    render(timeline) {
+        if (!this.list) return;
+
+        this.timeline = timeline;
+        this.list.innerHTML = '';
+
+        timeline.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.setAttribute('data-entry-id', step.id || '');
+            item.style.paddingLeft = `${12 + step.depth * this.options.indentSize}px`;
+
+            if (step.isCurrent) item.classList.add('current');
+            if (!step.isApplied) item.classList.add('undone');
+            if (!step.isOnCurrentLine) item.classList.add('branch');
+
+            // 分支的第一步显示分叉标记
+            const previous = timeline[index - 1];
+            if (previous && step.depth > previous.depth) {
+                item.classList.add('branch-start');
+            }
+
+            const action = document.createElement('span');
+            action.className = 'history-item-action';
+            action.textContent = step.action;
+            item.appendChild(action);
+
+            if (step.timestamp) {
+                const time = document.createElement('span');
+                time.className = 'history-item-time';
+                time.textContent = new Date(step.timestamp).toLocaleTimeString();
+                item.appendChild(time);
+            }
+
+            item.title = step.isOnCurrentLine ? '跳转到此步骤' : '切换到此分支';
+            this.list.appendChild(item);
+        });
+
+        // 保持当前步骤可见
+        const current = this.list.querySelector('.history-item.current');
+        if (current && typeof current.scrollIntoView === 'function') {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * 事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(listener);
+    }
+
+    /**
+     * 移除事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听函数
+     */
+    off(event, listener) {
+        if (!this.eventListeners.has(event)) return;
+
+        const listeners = this.eventListeners.get(event);
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * 触发事件
+     * @param {string} event - 事件名称
+     * @param {Object} data - 事件数据
+     */
+    emit(event, data = {}) {
+        if (!this.eventListeners.has(event)) return;
+
+        const listeners = this.eventListeners.get(event);
+        listeners.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`事件监听器错误 (${event}):`, error);
+            }
+        });
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        if (this.list) {
+            this.list.remove();
+        }
+
+        this.eventListeners.clear();
+        this.timeline = [];
+        this.list = null;
+        this.panel = null;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryPanel;
+}
+
+// ES6模块导出
+export { HistoryPanel };
\ No newline at end of file
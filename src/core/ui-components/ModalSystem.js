@@ -32,6 +32,7 @@ class ModalSystem {
         this.currentModalData = null;
         this.resolvePromise = null;
         this.rejectPromise = null;
+        this.hideTimer = null; // 关闭动画结束后隐藏遮罩的定时器
 
         // 事件监听器
         this.eventListeners = new Map();
@@ -198,6 +199,12 @@ class ModalSystem {
      */
     show(config = {}) {
         return new Promise((resolve, reject) => {
+            // 在上一个对话框的关闭动画中打开新对话框时，取消延迟的隐藏
+            if (this.hideTimer) {
+                clearTimeout(this.hideTimer);
+                this.hideTimer = null;
+            }
+
             this.resolvePromise = resolve;
             this.rejectPromise = reject;
 
@@ -234,7 +241,8 @@ class ModalSystem {
         this.overlay.classList.remove('visible');
         this.modal.classList.remove('visible');
 
-        setTimeout(() => {
+        this.hideTimer = setTimeout(() => {
+            this.hideTimer = null;
             this.overlay.style.display = 'none';
             this.isVisible = false;
 
@@ -298,6 +306,11 @@ class ModalSystem {
             this.modalCancel.style.display = config.showCancel ? '' : 'none';
         }
 
+        // 确认按钮默认可用，对话框可以在输入有效前禁用它
+        if (this.modalConfirm) {
+            this.modalConfirm.disabled = Boolean(config.confirmDisabled);
+        }
+
         // 自定义类名
         if (config.className) {
             this.modal.className = `modal ${config.className}`;
@@ -508,6 +521,109 @@ class ModalSystem {
         });
     }
 
+    /**
+     * 显示颜色选择对话框
+     * @param {Object} config - 配置
+     * @returns {Promise} 用户选择结果（confirmed时包含value）
+     */
+    showColorPicker(config = {}) {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.className = 'form-color';
+        input.value = config.defaultValue || '#36A1D6';
+
+        const content = document.createElement('div');
+        content.className = 'modal-prompt';
+
+        if (config.message) {
+            const message = document.createElement('p');
+            message.textContent = config.message;
+            content.appendChild(message);
+        }
+
+        content.appendChild(input);
+
+        const defaultConfig = {
+            type: 'color-picker',
+            title: config.title || '选择颜色',
+            content: content,
+            confirmText: '确定',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            ...config
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (result.confirmed) {
+                return {
+                    ...result,
+                    value: input.value
+                };
+            }
+            return result;
+        });
+    }
+
+    /**
+     * 显示通知（自动消失，不阻塞操作）
+     * @param {string} message - 通知内容
+     * @param {string} type - 类型：info/success/warning/error
+     * @param {Object} options - 选项
+     * @param {string} options.title - 标题（可选）
+     * @param {number} options.duration - 显示时长（毫秒，0表示不自动关闭，默认3000）
+     * @returns {HTMLElement} 通知元素
+     */
+    showNotification(message, type = 'info', options = {}) {
+        const duration = options.duration !== undefined ? options.duration : 3000;
+        const container = document.getElementById('notification-container') || document.body;
+
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+
+        const content = document.createElement('div');
+        content.className = 'notification-content';
+
+        if (options.title) {
+            const title = document.createElement('div');
+            title.className = 'notification-title';
+            title.textContent = options.title;
+            content.appendChild(title);
+        }
+
+        const messageElement = document.createElement('div');
+        messageElement.className = 'notification-message';
+        messageElement.textContent = message;
+        content.appendChild(messageElement);
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'notification-close';
+        closeButton.setAttribute('aria-label', '关闭');
+        closeButton.textContent = '×';
+
+        notification.appendChild(content);
+        notification.appendChild(closeButton);
+        container.appendChild(notification);
+
+        const close = () => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), this.options.animationDuration);
+        };
+
+        closeButton.addEventListener('click', close);
+
+        // 添加显示动画
+        setTimeout(() => notification.classList.add('show'), 10);
+
+        if (duration > 0) {
+            setTimeout(close, duration);
+        }
+
+        this.emit('notificationShown', { message, type });
+
+        return notification;
+    }
+
     /**
      * 显示节点编辑对话框
      * @param {Object} node - 节点数据
@@ -552,6 +668,25 @@ class ModalSystem {
         descGroup.appendChild(descLabel);
         descGroup.appendChild(descTextarea);
 
+        // 数值字段（按节点值分配扇区大小时使用）
+        const valueGroup = document.createElement('div');
+        valueGroup.className = 'form-group';
+
+        const valueLabel = document.createElement('label');
+        valueLabel.textContent = '数值';
+        valueLabel.htmlFor = 'node-value';
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.id = 'node-value';
+        valueInput.className = 'form-input';
+        valueInput.min = '0';
+        valueInput.step = 'any';
+        valueInput.value = node.value !== undefined ? node.value : 1;
+
+        valueGroup.appendChild(valueLabel);
+        valueGroup.appendChild(valueInput);
+
         // 颜色字段
         const colorGroup = document.createElement('div');
         colorGroup.className = 'form-group';
@@ -571,6 +706,7 @@ class ModalSystem {
 
         form.appendChild(nameGroup);
         form.appendChild(descGroup);
+        form.appendChild(valueGroup);
         form.appendChild(colorGroup);
 
         const defaultConfig = {
@@ -587,15 +723,18 @@ class ModalSystem {
 
         return this.show(defaultConfig).then(result => {
             if (result.confirmed) {
-                const nameValue = document.getElementById('node-name').value;
-                const descValue = document.getElementById('node-desc').value;
-                const colorValue = document.getElementById('node-color').value;
+                // 直接读取表单控件（页面上可能存在同名ID的元素）
+                const nameValue = nameInput.value;
+                const descValue = descTextarea.value;
+                const numberValue = valueInput.value === '' ? undefined : Number(valueInput.value);
+                const colorValue = colorInput.value;
 
                 return {
                     ...result,
                     data: {
                         name: nameValue,
                         description: descValue,
+                        value: numberValue,
                         color: colorValue,
                         originalNode: node
                     }
@@ -605,6 +744,735 @@ class ModalSystem {
         });
     }
 
+    /**
+     * 显示间隙设置对话框
+     * @param {Object} config - 当前间隙配置（见GapManager）
+     * @param {Object} options - 选项
+     * @param {number} options.levelCount - 可单独设置间隙的层数（默认6）
+     * @returns {Promise} 设置结果，确认时value为新的间隙配置
+     */
+    showGapSettings(config = {}, options = {}) {
+        const levelCount = options.levelCount || 6;
+        const levelGapAngles = config.levelGapAngles || {};
+
+        const form = document.createElement('form');
+        form.className = 'modal-form gap-settings';
+
+        const createField = (labelText, input, hint) => this.appendFormField(form, labelText, input, hint);
+
+        const createNumberInput = (value, min, max, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            input.min = String(min);
+            input.max = String(max);
+            input.step = String(step);
+            input.value = value !== undefined && value !== null ? value : '';
+            return input;
+        };
+
+        const enabledInput = document.createElement('input');
+        enabledInput.type = 'checkbox';
+        enabledInput.checked = config.enableGaps !== false;
+        createField('启用间隙', enabledInput);
+
+        const angleInput = createField('间隙角度（度）', createNumberInput(config.gapAngle, 0, 30, 0.5));
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.className = 'form-color';
+        colorInput.value = config.gapColor && config.gapColor.startsWith('#') ? config.gapColor : '#ffffff';
+        createField('间隙颜色', colorInput);
+
+        const opacityInput = createField('间隙不透明度（0-1）', createNumberInput(config.gapOpacity, 0, 1, 0.1), '为0时间隙透明，颜色不生效');
+
+        const ringGapInput = createField('环间间隙（半径百分比）', createNumberInput(config.ringGap, 0, 10, 0.5));
+
+        // 按层级覆盖间隙角度，留空表示使用默认间隙角度
+        const levelGroup = document.createElement('div');
+        levelGroup.className = 'form-group';
+
+        const levelLabel = document.createElement('label');
+        levelLabel.textContent = '按层级设置间隙角度（留空使用默认值）';
+        levelGroup.appendChild(levelLabel);
+
+        const levelList = document.createElement('div');
+        levelList.className = 'gap-settings-levels';
+
+        const levelInputs = [];
+        for (let depth = 0; depth < levelCount; depth++) {
+            const item = document.createElement('label');
+            item.className = 'gap-settings-level';
+            item.textContent = `第${depth + 1}层`;
+
+            const input = createNumberInput(levelGapAngles[depth], 0, 30, 0.5);
+            input.placeholder = '默认';
+            item.appendChild(input);
+
+            levelList.appendChild(item);
+            levelInputs.push(input);
+        }
+
+        levelGroup.appendChild(levelList);
+        form.appendChild(levelGroup);
+
+        const defaultConfig = {
+            type: 'gap-settings',
+            title: '间隙设置',
+            content: form,
+            confirmText: '应用',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            size: 'medium'
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (!result.confirmed) {
+                return result;
+            }
+
+            const readNumber = (input, fallback) => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) return fallback;
+                return Math.min(Number(input.max), Math.max(Number(input.min), value));
+            };
+
+            const newLevelGapAngles = {};
+            levelInputs.forEach((input, depth) => {
+                const value = readNumber(input, null);
+                if (value !== null) {
+                    newLevelGapAngles[depth] = value;
+                }
+            });
+
+            return {
+                ...result,
+                value: {
+                    enableGaps: enabledInput.checked,
+                    gapAngle: readNumber(angleInput, config.gapAngle),
+                    gapColor: colorInput.value,
+                    gapOpacity: readNumber(opacityInput, config.gapOpacity),
+                    ringGap: readNumber(ringGapInput, config.ringGap),
+                    levelGapAngles: newLevelGapAngles
+                }
+            };
+        });
+    }
+
+    /**
+     * 显示图片导出选项对话框
+     * @param {Object} options - 对话框选项
+     * @param {string} options.format - 'png' 或 'svg'（矢量图没有分辨率选项）
+     * @param {boolean} options.canExportFocused - 当前是否处于下钻状态（可只导出子树）
+     * @returns {Promise} 结果 { confirmed, value: { pixelRatio, background, title, showLegend, scope } }
+     */
+    showImageExportDialog(options = {}) {
+        const isPNG = options.format !== 'svg';
+
+        const form = document.createElement('form');
+        form.className = 'modal-form image-export';
+
+        const ratioSelect = this.createSelect([
+            { value: '1', label: '1倍（与屏幕相同）' },
+            { value: '2', label: '2倍' },
+            { value: '3', label: '3倍' },
+            { value: '4', label: '4倍（适合打印）' }
+        ], '2');
+        if (isPNG) {
+            this.appendFormField(form, '分辨率', ratioSelect);
+        }
+
+        const backgroundSelect = this.appendFormField(form, '背景', this.createSelect([
+            { value: 'theme', label: '主题背景色' },
+            { value: 'transparent', label: '透明' },
+            { value: '#ffffff', label: '白色' }
+        ], 'theme'));
+
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.className = 'form-input';
+        titleInput.placeholder = '不显示标题';
+        this.appendFormField(form, '标题', titleInput);
+
+        const legendInput = document.createElement('input');
+        legendInput.type = 'checkbox';
+        this.appendFormField(form, '显示图例', legendInput, '列出第一层分支及其颜色');
+
+        const scopeSelect = this.appendFormField(form, '导出范围', this.createSelect([
+            { value: 'all', label: '全部节点' },
+            { value: 'focused', label: '当前下钻的子树' }
+        ], options.canExportFocused ? 'focused' : 'all'), options.canExportFocused ? '' : '未下钻时导出全部节点');
+        scopeSelect.disabled = !options.canExportFocused;
+
+        const defaultConfig = {
+            type: 'image-export',
+            title: isPNG ? '导出PNG' : '导出SVG',
+            content: form,
+            confirmText: '导出',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            size: 'medium'
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (!result.confirmed) {
+                return result;
+            }
+
+            return {
+                ...result,
+                value: {
+                    pixelRatio: Number(ratioSelect.value),
+                    background: backgroundSelect.value,
+                    title: titleInput.value.trim(),
+                    showLegend: legendInput.checked,
+                    scope: scopeSelect.value
+                }
+            };
+        });
+    }
+
+    /**
+     * 显示表格导入对话框：预览表格内容，选择层级列（或路径列）和数值列
+     * @param {Object} table - 表格 { headers, rows }
+     * @param {Object} mapping - 初始的列设置（见TableImporter.buildTree）
+     * @returns {Promise} 列设置
+     */
+    showTableImportDialog(table, mapping) {
+        const form = document.createElement('form');
+        form.className = 'modal-form table-import';
+
+        const preview = document.createElement('table');
+        preview.className = 'table-import-preview';
+        [table.headers, ...table.rows.slice(0, 5)].forEach((cells, rowIndex) => {
+            const row = preview.insertRow();
+            cells.forEach(text => {
+                const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        });
+        this.appendFormField(form, `预览（共${table.rows.length}行）`, preview);
+
+        const columnChoices = table.headers.map((header, index) => ({ value: String(index), label: header }));
+
+        const modeSelect = this.appendFormField(form, '层级来源', this.createSelect([
+            { value: 'columns', label: '多个层级列' },
+            { value: 'path', label: '单个路径列' }
+        ], mapping.mode));
+
+        const levelList = document.createElement('div');
+        levelList.className = 'table-import-columns';
+        const levelInputs = table.headers.map((header, index) => {
+            const option = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = mapping.levelColumns.includes(index);
+            option.appendChild(input);
+            option.appendChild(document.createTextNode(header));
+            levelList.appendChild(option);
+            return input;
+        });
+        this.appendFormField(form, '层级列', levelList, '按表格中的列顺序由外到内排列');
+
+        const pathSelect = this.appendFormField(form, '路径列', this.createSelect(columnChoices, String(mapping.pathColumn)));
+
+        const separatorInput = document.createElement('input');
+        separatorInput.type = 'text';
+        separatorInput.className = 'form-input';
+        separatorInput.value = mapping.pathSeparator;
+        this.appendFormField(form, '路径分隔符', separatorInput);
+
+        const valueSelect = this.appendFormField(form, '数值列', this.createSelect([
+            { value: '-1', label: '无（按行计数）' },
+            ...columnChoices
+        ], String(mapping.valueColumn)), '同一节点下所有行的数值累加为节点大小');
+
+        // 只显示当前层级来源需要的字段
+        const updateMode = () => {
+            const isPath = modeSelect.value === 'path';
+            levelList.parentElement.style.display = isPath ? 'none' : '';
+            pathSelect.parentElement.style.display = isPath ? '' : 'none';
+            separatorInput.parentElement.style.display = isPath ? '' : 'none';
+        };
+        modeSelect.addEventListener('change', updateMode);
+        updateMode();
+
+        const defaultConfig = {
+            type: 'table-import',
+            title: '从表格导入',
+            content: form,
+            confirmText: '导入',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            size: 'large'
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (!result.confirmed) {
+                return result;
+            }
+
+            const valueColumn = Number(valueSelect.value);
+            return {
+                ...result,
+                value: {
+                    mode: modeSelect.value,
+                    levelColumns: levelInputs
+                        .map((input, index) => input.checked ? index : -1)
+                        .filter(index => index >= 0 && index !== valueColumn),
+                    pathColumn: Number(pathSelect.value),
+                    pathSeparator: separatorInput.value || '/',
+                    valueColumn
+                }
+            };
+        });
+    }
+
+    /**
+     * 显示导入对话框：拖放、选择或粘贴数据，检查后显示问题和预览，再选择导入方式
+     * @param {Object} options - 对话框选项
+     * @param {string} options.accept - 文件选择框的accept属性
+     * @param {Function} options.analyze - ({ file } 或 { text }) => Promise<{ label, stats, errors, warnings }>，errors为空时可以导入
+     * @param {Function} options.renderPreview - (container, analysis) => 清理函数，在容器中绘制预览
+     * @param {boolean} options.canMerge - 是否有选中节点（可合并到选中节点）
+     * @param {string} options.mergeTargetName - 选中节点的名称
+     * @returns {Promise} 结果 { confirmed, value: { mode: 'replace' | 'append' | 'merge', analysis } }
+     */
+    showImportDialog(options = {}) {
+        const content = document.createElement('div');
+        content.className = 'modal-form import-dialog';
+
+        const dropZone = document.createElement('div');
+        dropZone.className = 'import-drop-zone';
+        dropZone.tabIndex = 0;
+
+        const dropText = document.createElement('div');
+        dropText.className = 'import-drop-text';
+        dropText.textContent = '将文件拖放到这里，或';
+        dropZone.appendChild(dropText);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = options.accept || '';
+        fileInput.style.display = 'none';
+        dropZone.appendChild(fileInput);
+
+        const browseButton = document.createElement('button');
+        browseButton.type = 'button';
+        browseButton.className = 'secondary-btn';
+        browseButton.textContent = '选择文件';
+        dropZone.appendChild(browseButton);
+        content.appendChild(dropZone);
+
+        const pasteInput = document.createElement('textarea');
+        pasteInput.className = 'form-input import-paste';
+        pasteInput.rows = 5;
+        pasteInput.placeholder = 'JSON、Markdown、OPML、FreeMind或缩进文本';
+        this.appendFormField(content, '或粘贴内容', pasteInput);
+
+        const report = document.createElement('div');
+        report.className = 'import-report';
+        report.setAttribute('aria-live', 'polite');
+        content.appendChild(report);
+
+        const preview = document.createElement('div');
+        preview.className = 'import-preview';
+        content.appendChild(preview);
+
+        const modeGroup = document.createElement('div');
+        modeGroup.className = 'import-modes';
+        const modes = [
+            { value: 'replace', label: '替换当前导图' },
+            { value: 'append', label: '追加为新的根节点' },
+            {
+                value: 'merge',
+                label: options.canMerge ? `合并到选中节点「${options.mergeTargetName}」` : '合并到选中节点（未选中节点）',
+                disabled: !options.canMerge
+            }
+        ];
+        const modeInputs = modes.map(mode => {
+            const option = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'import-mode';
+            input.value = mode.value;
+            input.checked = mode.value === 'replace';
+            input.disabled = Boolean(mode.disabled);
+            option.appendChild(input);
+            option.appendChild(document.createTextNode(mode.label));
+            modeGroup.appendChild(option);
+            return input;
+        });
+        this.appendFormField(content, '导入方式', modeGroup);
+
+        let analysis = null;
+        let disposePreview = null;
+        let requestId = 0; // 只显示最后一次检查的结果
+
+        const clearPreview = () => {
+            if (disposePreview) {
+                disposePreview();
+                disposePreview = null;
+            }
+            preview.innerHTML = '';
+            preview.style.display = 'none';
+        };
+
+        const appendList = (items, className) => {
+            if (items.length === 0) return;
+
+            const list = document.createElement('ul');
+            list.className = className;
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            report.appendChild(list);
+        };
+
+        const showReport = (result) => {
+            report.innerHTML = '';
+
+            const summary = document.createElement('div');
+            summary.className = 'import-summary';
+            summary.textContent = [result.label, result.stats].filter(Boolean).join(' · ');
+            report.appendChild(summary);
+
+            appendList(result.errors || [], 'import-errors');
+            appendList(result.warnings || [], 'import-warnings');
+        };
+
+        const analyze = (source) => {
+            const currentRequest = ++requestId;
+            analysis = null;
+            this.modalConfirm.disabled = true;
+            clearPreview();
+            report.textContent = '正在检查…';
+
+            Promise.resolve()
+                .then(() => options.analyze(source))
+                .then(result => {
+                    if (currentRequest !== requestId) return;
+
+                    showReport(result);
+                    if (result.errors && result.errors.length > 0) return;
+
+                    // 预览绘制成功后才允许导入
+                    if (options.renderPreview) {
+                        preview.style.display = '';
+                        disposePreview = options.renderPreview(preview, result) || null;
+                    }
+                    analysis = result;
+                    this.modalConfirm.disabled = false;
+                })
+                .catch(error => {
+                    if (currentRequest !== requestId) return;
+                    clearPreview();
+                    showReport({ label: '无法导入', errors: [error.message] });
+                });
+        };
+
+        const analyzeFile = (file) => {
+            if (!file) return;
+            pasteInput.value = '';
+            dropText.textContent = file.name;
+            analyze({ file });
+        };
+
+        browseButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => analyzeFile(fileInput.files && fileInput.files[0]));
+
+        dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dropZone.classList.remove('dragover');
+            analyzeFile(event.dataTransfer.files && event.dataTransfer.files[0]);
+        });
+
+        // 粘贴文件（如从文件管理器复制）时按文件处理，粘贴文本时等输入停顿后再检查
+        content.addEventListener('paste', (event) => {
+            const file = event.clipboardData && event.clipboardData.files && event.clipboardData.files[0];
+            if (file) {
+                event.preventDefault();
+                analyzeFile(file);
+            }
+        });
+
+        let pasteTimer = null;
+        pasteInput.addEventListener('input', () => {
+            clearTimeout(pasteTimer);
+            pasteTimer = setTimeout(() => {
+                const text = pasteInput.value;
+                if (!text.trim()) {
+                    requestId++;
+                    analysis = null;
+                    this.modalConfirm.disabled = true;
+                    report.innerHTML = '';
+                    clearPreview();
+                    return;
+                }
+                dropText.textContent = '将文件拖放到这里，或';
+                analyze({ text });
+            }, 300);
+        });
+
+        clearPreview();
+
+        const defaultConfig = {
+            type: 'import',
+            title: '导入',
+            content,
+            confirmText: '导入',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            confirmDisabled: true,
+            size: 'large'
+        };
+
+        const cleanup = () => {
+            clearTimeout(pasteTimer);
+            requestId++;
+            clearPreview();
+        };
+
+        return this.show(defaultConfig).then(result => {
+            cleanup();
+            if (!result.confirmed || !analysis) {
+                return { ...result, confirmed: false };
+            }
+
+            return {
+                ...result,
+                value: {
+                    mode: modeInputs.find(input => input.checked).value,
+                    analysis
+                }
+            };
+        }, error => {
+            cleanup();
+            throw error;
+        });
+    }
+
+    /**
+     * 显示合并版本对话框：选择共同的基础版本和对方修改后的版本，与当前导图三方合并
+     * @param {Object} options - 对话框选项
+     * @param {string} options.accept - 文件选择框的accept属性
+     * @returns {Promise} 结果 { confirmed, value: { base: File, theirs: File } }
+     */
+    showMergeFilesDialog(options = {}) {
+        const form = document.createElement('form');
+        form.className = 'modal-form merge-files';
+
+        const createFileInput = () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.className = 'form-input';
+            input.accept = options.accept || '';
+            return input;
+        };
+
+        const baseInput = this.appendFormField(form, '共同的基础版本', createFileInput(),
+            '双方开始各自编辑之前的那份文件');
+        const theirsInput = this.appendFormField(form, '对方的版本', createFileInput(),
+            '对方编辑后的文件，将与当前导图合并');
+
+        const updateConfirm = () => {
+            this.modalConfirm.disabled = !(baseInput.files.length > 0 && theirsInput.files.length > 0);
+        };
+        baseInput.addEventListener('change', updateConfirm);
+        theirsInput.addEventListener('change', updateConfirm);
+
+        const defaultConfig = {
+            type: 'merge-files',
+            title: '合并版本',
+            content: form,
+            confirmText: '合并',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            confirmDisabled: true,
+            size: 'medium'
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (!result.confirmed) {
+                return result;
+            }
+
+            return {
+                ...result,
+                value: {
+                    base: baseInput.files[0],
+                    theirs: theirsInput.files[0]
+                }
+            };
+        });
+    }
+
+    /**
+     * 显示合并冲突对话框：逐条选择保留本地还是对方的修改
+     * @param {Object} options - 对话框选项
+     * @param {string} options.summary - 已自动合并的修改说明
+     * @param {Array<Object>} options.conflicts - 冲突 { key, title, ours: 本地的内容, theirs: 对方的内容 }
+     * @returns {Promise} 结果 { confirmed, value: 冲突key -> 'ours' | 'theirs' }
+     */
+    showMergeConflictDialog(options = {}) {
+        const content = document.createElement('div');
+        content.className = 'modal-form merge-conflicts';
+
+        if (options.summary) {
+            const summary = document.createElement('p');
+            summary.className = 'merge-summary';
+            summary.textContent = options.summary;
+            content.appendChild(summary);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'merge-conflict-list';
+
+        const conflicts = options.conflicts || [];
+        const choiceInputs = conflicts.map((conflict, index) => {
+            const item = document.createElement('fieldset');
+            item.className = 'merge-conflict';
+
+            const title = document.createElement('legend');
+            title.textContent = conflict.title;
+            item.appendChild(title);
+
+            const inputs = [
+                { value: 'ours', label: '本地', text: conflict.ours },
+                { value: 'theirs', label: '对方', text: conflict.theirs }
+            ].map(choice => {
+                const option = document.createElement('label');
+                option.className = 'merge-choice';
+
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `merge-conflict-${index}`;
+                input.value = choice.value;
+                input.checked = choice.value === 'ours';
+
+                const label = document.createElement('strong');
+                label.textContent = `${choice.label}：`;
+
+                option.appendChild(input);
+                option.appendChild(label);
+                option.appendChild(document.createTextNode(choice.text));
+                item.appendChild(option);
+                return input;
+            });
+
+            list.appendChild(item);
+            return inputs;
+        });
+
+        // 冲突较多时可以一次选择同一方
+        const actions = document.createElement('div');
+        actions.className = 'merge-actions';
+        [
+            { value: 'ours', label: '全部保留本地' },
+            { value: 'theirs', label: '全部采用对方' }
+        ].forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'secondary-btn';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                choiceInputs.forEach(inputs => {
+                    inputs.forEach(input => {
+                        input.checked = input.value === action.value;
+                    });
+                });
+            });
+            actions.appendChild(button);
+        });
+
+        content.appendChild(actions);
+        content.appendChild(list);
+
+        const defaultConfig = {
+            type: 'merge-conflicts',
+            title: `解决冲突（${conflicts.length}处）`,
+            content,
+            confirmText: '完成合并',
+            cancelText: '取消',
+            showConfirm: true,
+            showCancel: true,
+            size: 'large'
+        };
+
+        return this.show(defaultConfig).then(result => {
+            if (!result.confirmed) {
+                return result;
+            }
+
+            const resolutions = {};
+            conflicts.forEach((conflict, index) => {
+                resolutions[conflict.key] = choiceInputs[index].find(input => input.checked).value;
+            });
+
+            return { ...result, value: resolutions };
+        });
+    }
+
+    /**
+     * 创建下拉选择框
+     * @param {Array<Object>} choices - 选项 { value, label }
+     * @param {string} value - 初始值
+     * @returns {HTMLSelectElement} 选择框
+     */
+    createSelect(choices, value) {
+        const select = document.createElement('select');
+        select.className = 'form-input';
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * 在表单中添加一行 标签 + 控件
+     * @param {HTMLElement} form - 表单
+     * @param {string} labelText - 标签文字
+     * @param {HTMLElement} input - 控件
+     * @param {string} hint - 说明文字（可选）
+     * @returns {HTMLElement} 控件
+     */
+    appendFormField(form, labelText, input, hint) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        group.appendChild(label);
+        group.appendChild(input);
+
+        if (hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'form-hint';
+            hintElement.textContent = hint;
+            group.appendChild(hintElement);
+        }
+
+        form.appendChild(group);
+        return input;
+    }
+
     /**
      * 显示导出选项对话框
      * @returns {Promise} 导出选项
@@ -618,8 +1486,14 @@ class ModalSystem {
 
         const formats = [
             { id: 'json', label: 'JSON格式', icon: 'fas fa-file-code', description: '导出为JSON数据文件' },
+            { id: 'markdown', label: 'Markdown大纲', icon: 'fab fa-markdown', description: '标题和嵌套列表，备注为段落，标签为#标签' },
+            { id: 'opml', label: 'OPML大纲', icon: 'fas fa-list-ul', description: 'OPML 2.0，备注保存为_note属性，标签保存为category属性' },
+            { id: 'text', label: '缩进文本', icon: 'fas fa-align-left', description: '每行一个节点，用制表符缩进表示层级' },
+            { id: 'freemind', label: 'FreeMind', icon: 'fas fa-project-diagram', description: '.mm文件，可在FreeMind和Freeplane中打开' },
+            { id: 'xmind', label: 'XMind', icon: 'fas fa-sitemap', description: 'XMind的content.json，每个根节点一个画布' },
             { id: 'png', label: 'PNG图片', icon: 'fas fa-file-image', description: '导出为PNG图片' },
-            { id: 'svg', label: 'SVG矢量图', icon: 'fas fa-file-alt', description: '导出为SVG矢量图' }
+            { id: 'svg', label: 'SVG矢量图', icon: 'fas fa-file-alt', description: '导出为SVG矢量图' },
+            { id: 'pdf', label: 'PDF文档', icon: 'fas fa-file-pdf', description: '完整图、各分支下钻图和大纲，适合打印' }
         ];
 
         formats.forEach(format => {
@@ -213,6 +213,16 @@ class ToolbarController {
         const ctrlKey = event.ctrlKey || event.metaKey;
         const shiftKey = event.shiftKey;
 
+        // Alt+方向键：调整节点在兄弟节点中的顺序
+        if (event.altKey && !ctrlKey) {
+            const offset = this.getSiblingMoveOffset(key);
+            if (offset !== 0) {
+                event.preventDefault();
+                this.emit('moveSiblingRequested', { offset });
+                return;
+            }
+        }
+
         // 检查快捷键
         this.shortcuts.forEach((shortcut, buttonId) => {
             if (this.matchesShortcut(shortcut, key, ctrlKey, shiftKey)) {
@@ -222,6 +232,24 @@ class ToolbarController {
         });
     }
 
+    /**
+     * 获取方向键对应的兄弟节点移动偏移量
+     * @param {string} key - 按下的键（小写）
+     * @returns {number} 偏移量（0表示不是排序快捷键）
+     */
+    getSiblingMoveOffset(key) {
+        switch (key) {
+            case 'arrowleft':
+            case 'arrowup':
+                return -1;
+            case 'arrowright':
+            case 'arrowdown':
+                return 1;
+            default:
+                return 0;
+        }
+    }
+
     /**
      * 检查是否匹配快捷键
      * @param {string} shortcut - 快捷键描述
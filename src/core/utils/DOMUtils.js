@@ -370,12 +370,16 @@ class DOMUtils {
 
     /**
      * 添加事件监听器
-     * @param {HTMLElement} element - 元素
+     * @param {HTMLElement|string} element - 元素或CSS选择器
      * @param {string} event - 事件类型
      * @param {Function} handler - 事件处理函数
      * @param {Object} options - 事件选项
      */
     static on(element, event, handler, options = {}) {
+        if (typeof element === 'string') {
+            element = this.getElement(element);
+        }
+
         if (element && event && handler) {
             element.addEventListener(event, handler, options);
         }
@@ -777,6 +781,59 @@ class DOMUtils {
         });
     }
 
+    /**
+     * 下载URL（包括dataURL和对象URL）指向的文件
+     * @param {string} url - 文件URL
+     * @param {string} filename - 保存的文件名
+     */
+    static downloadURL(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * 将内容保存为文件并下载
+     * @param {string|Blob} content - 文件内容
+     * @param {string} filename - 保存的文件名
+     * @param {string} mimeType - MIME类型（content为Blob时忽略）
+     */
+    static downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        this.downloadURL(url, filename);
+
+        // 等浏览器开始下载后再释放
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 打开文件选择框
+     * @param {string} accept - 可选择的文件类型（如 '.json,.md'）
+     * @returns {Promise<File>} 选择的文件，取消时reject
+     */
+    static selectFile(accept = '') {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                file ? resolve(file) : reject(new Error('未选择文件'));
+            });
+            input.addEventListener('cancel', () => reject(new Error('未选择文件')));
+
+            input.click();
+        });
+    }
+
     /**
      * 获取焦点元素
      * @returns {HTMLElement} 当前焦点元素
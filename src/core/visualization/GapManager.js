@@ -14,6 +14,8 @@ class GapManager {
             gapOpacity: 0,         // 间隙透明度
             enableGaps: true,      // 是否启用间隙
             minChildrenForGap: 2,  // 最小子节点数才添加间隙
+            levelGapAngles: {},    // 按层级覆盖间隙角度 { 层级深度: 角度（度） }
+            ringGap: 0,            // 相邻环之间的径向间隙（占半径的百分比）
             ...options
         };
         
@@ -21,75 +23,88 @@ class GapManager {
     }
     
     /**
-     * 在数据中插入间隙节点
-     * @param {Array} data - 原始旭日图数据
+     * 获取某一层兄弟节点之间的间隙角度
+     * @param {number} depth - 兄弟节点所在层级（根节点为0）
+     * @param {number} siblingCount - 兄弟节点数量
+     * @returns {number} 间隙角度（度），不需要间隙时为0
+     */
+    getGapAngle(depth, siblingCount) {
+        if (!this.options.enableGaps || siblingCount < Math.max(2, this.options.minChildrenForGap)) {
+            return 0;
+        }
+        
+        const levelAngle = this.options.levelGapAngles[depth];
+        const gapAngle = levelAngle !== undefined && levelAngle !== null ? levelAngle : this.options.gapAngle;
+        
+        return Math.max(0, Number(gapAngle) || 0);
+    }
+    
+    /**
+     * 在数据中插入间隙节点（返回新数据，不修改原数据）
+     * 已分配角度的数据（带 startAngle、angleRange）按相邻节点之间预留的角度生成间隙，
+     * 否则按该层的间隙角度生成；间隙节点的value为间隙角度（度）
+     * @param {Array} data - 旭日图数据
      * @returns {Array} 包含间隙的数据
      */
     insertGaps(data) {
-        if (!this.options.enableGaps || this.options.gapAngle <= 0) {
+        this.gapNodes.clear();
+        
+        if (!this.options.enableGaps) {
             return data;
         }
         
-        const gapRadians = (this.options.gapAngle * Math.PI) / 180;
-        this.gapNodes.clear();
-        
-        const processNode = (node, parentAngleRange = 2 * Math.PI, parentStartAngle = 0) => {
-            if (!node.children || node.children.length < this.options.minChildrenForGap) {
-                return node;
-            }
-            
-            const childrenCount = node.children.length;
-            const totalGapAngle = gapRadians * childrenCount;
-            const childAngle = (parentAngleRange - totalGapAngle) / childrenCount;
-            
-            const newChildren = [];
-            let currentAngle = parentStartAngle;
+        const insertBetween = (nodes, parentNode, depth) => {
+            const result = [];
+            const gapAngle = this.getGapAngle(depth, nodes.length);
             let gapIndex = 0;
             
-            node.children.forEach((child, index) => {
-                // 设置子节点角度
-                child.startAngle = currentAngle;
-                child.angleRange = childAngle;
-                currentAngle += childAngle;
-                
-                // 递归处理子节点
-                newChildren.push(processNode(child, childAngle, child.startAngle));
+            nodes.forEach((node, index) => {
+                result.push({
+                    ...node,
+                    children: insertBetween(node.children || [], node, depth + 1)
+                });
                 
                 // 插入间隙节点（最后一个不插）
-                if (index < childrenCount - 1) {
-                    const gapNode = this.createGapNode(currentAngle, gapRadians, node, gapIndex);
-                    currentAngle += gapRadians;
-                    newChildren.push(gapNode);
-                    gapIndex++;
+                if (gapAngle > 0 && index < nodes.length - 1) {
+                    const next = nodes[index + 1];
+                    const allocated = node.angleRange !== undefined && next.startAngle !== undefined;
+                    const startAngle = allocated ? node.startAngle + node.angleRange : 0;
+                    const angleRange = allocated ? next.startAngle - startAngle : (gapAngle * Math.PI) / 180;
+                    
+                    if (angleRange > 0) {
+                        result.push(this.createGapNode(startAngle, angleRange, parentNode, gapIndex));
+                        gapIndex++;
+                    }
                 }
             });
             
-            node.children = newChildren;
-            return node;
+            return result;
         };
         
-        return data.map(node => processNode(node));
+        return insertBetween(data, null, 0);
     }
     
     /**
      * 创建间隙节点
      * @param {number} startAngle - 起始角度
      * @param {number} angleRange - 角度范围
-     * @param {Object} parentNode - 父节点
+     * @param {Object|null} parentNode - 父节点（根节点之间的间隙为null）
      * @param {number} gapIndex - 间隙索引
      * @returns {Object} 间隙节点
      */
     createGapNode(startAngle, angleRange, parentNode, gapIndex) {
-        const gapId = `gap_${parentNode.id || 'root'}_${gapIndex}`;
+        const parentId = parentNode ? parentNode.id : null;
+        const gapId = `gap_${parentId || 'root'}_${gapIndex}`;
         
         const gapNode = {
             name: '',
-            value: 0,
+            value: (angleRange * 180) / Math.PI,
             id: gapId,
             startAngle: startAngle,
             angleRange: angleRange,
             children: [],
             isGap: true,
+            nodeClick: false, // 点击间隙不下钻
             itemStyle: {
                 color: this.options.gapColor,
                 opacity: this.options.gapOpacity,
@@ -109,7 +124,7 @@ class GapManager {
         // 存储间隙节点信息
         this.gapNodes.set(gapId, {
             id: gapId,
-            parentId: parentNode.id,
+            parentId,
             startAngle,
             angleRange,
             gapIndex
@@ -119,38 +134,51 @@ class GapManager {
     }
     
     /**
-     * 从数据中移除间隙节点
+     * 从数据中移除间隙节点（返回新数据，不修改原数据）
      * @param {Array} data - 包含间隙的数据
      * @returns {Array} 移除间隙后的数据
      */
     removeGaps(data) {
-        const removeGapsFromNode = (node) => {
-            if (!node.children) {
-                return node;
-            }
-            
-            // 过滤掉间隙节点
-            const realChildren = node.children.filter(child => !child.isGap);
-            
-            // 重新计算角度（均匀分布）
-            if (realChildren.length > 0) {
-                const childAngle = node.angleRange / realChildren.length;
-                
-                realChildren.forEach((child, index) => {
-                    child.startAngle = node.startAngle + (childAngle * index);
-                    child.angleRange = childAngle;
-                    
-                    // 递归处理子节点
-                    removeGapsFromNode(child);
-                });
-            }
-            
-            node.children = realChildren;
-            return node;
+        const removeFromNodes = (nodes) => {
+            return nodes
+                .filter(node => !this.isGapNode(node))
+                .map(node => ({
+                    ...node,
+                    children: removeFromNodes(node.children || [])
+                }));
         };
         
         this.gapNodes.clear();
-        return data.map(node => removeGapsFromNode(node));
+        return removeFromNodes(data);
+    }
+    
+    /**
+     * 为层级配置添加环间径向间隙：每一环的内半径向外收缩ringGap
+     * @param {Array<Object>} levels - ECharts旭日图levels配置（r0、r为百分比字符串或数字）
+     * @returns {Array<Object>} 新的levels配置
+     */
+    applyRingGap(levels) {
+        const ringGap = Math.max(0, Number(this.options.ringGap) || 0);
+        if (!this.options.enableGaps || ringGap === 0) {
+            return levels;
+        }
+        
+        return levels.map(level => {
+            if (level.r0 === undefined || level.r === undefined) {
+                return level;
+            }
+            
+            const isPercent = typeof level.r0 === 'string' && level.r0.endsWith('%');
+            const r0 = parseFloat(level.r0);
+            const r = parseFloat(level.r);
+            
+            // 收缩后至少保留一半环宽
+            const innerRadius = Math.min(r0 + ringGap, r0 + (r - r0) / 2);
+            return {
+                ...level,
+                r0: isPercent ? `${innerRadius}%` : innerRadius
+            };
+        });
     }
     
     /**
@@ -346,7 +374,7 @@ class GapManager {
      * @returns {Object} 当前配置
      */
     getConfig() {
-        return { ...this.options };
+        return { ...this.options, levelGapAngles: { ...this.options.levelGapAngles } };
     }
     
     /**
@@ -407,6 +435,8 @@ class GapManager {
             gapOpacity: this.options.gapOpacity,
             enableGaps: this.options.enableGaps,
             minChildrenForGap: this.options.minChildrenForGap,
+            levelGapAngles: { ...this.options.levelGapAngles },
+            ringGap: this.options.ringGap,
             gapNodes: Array.from(this.gapNodes.values())
         };
     }
@@ -416,11 +446,13 @@ class GapManager {
      * @param {Object} config - 配置对象
      */
     importConfig(config) {
-        this.options.gapAngle = config.gapAngle || this.options.gapAngle;
+        this.options.gapAngle = config.gapAngle !== undefined ? config.gapAngle : this.options.gapAngle;
         this.options.gapColor = config.gapColor || this.options.gapColor;
-        this.options.gapOpacity = config.gapOpacity || this.options.gapOpacity;
+        this.options.gapOpacity = config.gapOpacity !== undefined ? config.gapOpacity : this.options.gapOpacity;
         this.options.enableGaps = config.enableGaps !== undefined ? config.enableGaps : this.options.enableGaps;
         this.options.minChildrenForGap = config.minChildrenForGap || this.options.minChildrenForGap;
+        this.options.levelGapAngles = config.levelGapAngles ? { ...config.levelGapAngles } : this.options.levelGapAngles;
+        this.options.ringGap = config.ringGap !== undefined ? config.ringGap : this.options.ringGap;
         
         if (config.gapNodes && Array.isArray(config.gapNodes)) {
             this.gapNodes.clear();
@@ -434,4 +466,7 @@ class GapManager {
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GapManager;
-}
\ No newline at end of file
+}
+
+// ES6模块导出
+export { GapManager };
\ No newline at end of file
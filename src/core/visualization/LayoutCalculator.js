@@ -2,6 +2,10 @@
  * 布局计算器
  * 计算旭日图节点的角度和半径布局
  */
+
+// 扇区大小模式：均分、按节点值、按叶子数、按子树节点数
+const LAYOUT_MODES = ['equal', 'value', 'leafCount', 'subtreeSize'];
+
 class LayoutCalculator {
     /**
      * 创建布局计算器
@@ -13,9 +17,14 @@ class LayoutCalculator {
             outerRadius: 0.90,  // 外半径比例
             gapAngle: 3,        // 间隙角度（度）
             maxDepth: 10,       // 最大深度
+            layoutMode: 'value', // 扇区大小模式（见LAYOUT_MODES）
             ...options
         };
         
+        if (!LAYOUT_MODES.includes(this.options.layoutMode)) {
+            throw new Error(`未知的布局模式: ${this.options.layoutMode}`);
+        }
+        
         // 缓存计算结果
         this.cache = new Map();
     }
@@ -136,33 +145,100 @@ class LayoutCalculator {
     }
     
     /**
-     * 计算节点权重
+     * 计算节点权重（决定节点在兄弟节点间分得的角度比例）
      * @param {Object} node - 节点
+     * @param {string} mode - 布局模式（默认使用options.layoutMode）
      * @returns {number} 节点权重
      */
-    calculateNodeWeight(node) {
-        // 默认权重为1，可以根据需要扩展
-        let weight = node.value || 1;
-        
-        // 考虑子节点数量
-        if (node.children && node.children.length > 0) {
-            weight += node.children.length * 0.1;
+    calculateNodeWeight(node, mode = this.options.layoutMode) {
+        const children = (node.children || []).filter(child => !child.isGap);
+        
+        switch (mode) {
+            case 'equal':
+                return 1;
+            case 'leafCount':
+                // 折叠的节点按被隐藏的叶子数计算，保持与展开时相同的大小
+                if (node.collapsed) return node.hiddenLeafCount || 1;
+                return children.length === 0
+                    ? 1
+                    : children.reduce((total, child) => total + this.calculateNodeWeight(child, mode), 0);
+            case 'subtreeSize':
+                if (node.collapsed) return 1 + (node.hiddenCount || 0);
+                return children.reduce((total, child) => total + this.calculateNodeWeight(child, mode), 1);
+            default: {
+                // 非叶子节点为子节点权重之和，折叠的节点按被隐藏叶子的值之和计算
+                if (node.collapsed && node.hiddenValue !== undefined) return node.hiddenValue;
+                if (children.length > 0) {
+                    return children.reduce((total, child) => total + this.calculateNodeWeight(child, mode), 0);
+                }
+                
+                // 叶子节点的值：未设置时视为1，负数和无效值视为0
+                const value = node.value === undefined || node.value === null ? 1 : Number(node.value);
+                return Number.isFinite(value) && value > 0 ? value : 0;
+            }
         }
-        
-        return Math.max(weight, 0.1); // 确保最小权重
     }
     
     /**
      * 计算总权重
      * @param {Array} nodes - 节点数组
+     * @param {string} mode - 布局模式（默认使用options.layoutMode）
      * @returns {number} 总权重
      */
-    calculateTotalWeight(nodes) {
+    calculateTotalWeight(nodes, mode = this.options.layoutMode) {
         return nodes.reduce((total, node) => {
-            return total + this.calculateNodeWeight(node);
+            return total + this.calculateNodeWeight(node, mode);
         }, 0);
     }
     
+    /**
+     * 按权重在兄弟节点间分配角度，相邻节点之间留出间隙
+     * 间隙总和不超过可用角度的一半；所有权重为0时退化为均分
+     * @param {Array} nodes - 兄弟节点数组
+     * @param {number} startAngle - 起始角度（弧度）
+     * @param {number} angleRange - 可用角度范围（弧度）
+     * @param {number} gapRadians - 相邻节点间的间隙（弧度）
+     * @param {string} mode - 布局模式（默认使用options.layoutMode）
+     * @returns {Array<Object>} 与nodes一一对应的 { startAngle, angleRange }
+     */
+    allocateAngles(nodes, startAngle, angleRange, gapRadians = 0, mode = this.options.layoutMode) {
+        if (nodes.length === 0) {
+            return [];
+        }
+        
+        const gapCount = nodes.length - 1;
+        const gap = gapCount > 0 ? Math.min(gapRadians, angleRange / (2 * gapCount)) : 0;
+        const availableAngle = angleRange - gap * gapCount;
+        
+        let weights = nodes.map(node => this.calculateNodeWeight(node, mode));
+        let totalWeight = weights.reduce((total, weight) => total + weight, 0);
+        if (totalWeight <= 0) {
+            weights = nodes.map(() => 1);
+            totalWeight = nodes.length;
+        }
+        
+        let currentAngle = startAngle;
+        return weights.map(weight => {
+            const range = (weight / totalWeight) * availableAngle;
+            const allocation = { startAngle: currentAngle, angleRange: range };
+            currentAngle += range + gap;
+            return allocation;
+        });
+    }
+    
+    /**
+     * 设置布局模式
+     * @param {string} mode - 布局模式（见LAYOUT_MODES）
+     */
+    setLayoutMode(mode) {
+        if (!LAYOUT_MODES.includes(mode)) {
+            throw new Error(`未知的布局模式: ${mode}`);
+        }
+        
+        this.options.layoutMode = mode;
+        this.clearCache();
+    }
+    
     /**
      * 计算节点的屏幕坐标
      * @param {Object} node - 带布局信息的节点
@@ -461,8 +537,8 @@ class LayoutCalculator {
      * @returns {string} 缓存键
      */
     generateCacheKey(nodes) {
-        // 简单实现：使用JSON字符串
-        return JSON.stringify(nodes);
+        // 简单实现：使用布局模式和JSON字符串
+        return this.options.layoutMode + ':' + JSON.stringify(nodes);
     }
     
     /**
@@ -492,4 +568,7 @@ class LayoutCalculator {
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LayoutCalculator;
-}
\ No newline at end of file
+}
+
+// ES6模块导出
+export { LayoutCalculator, LAYOUT_MODES };
\ No newline at end of file
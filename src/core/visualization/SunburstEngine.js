@@ -2,13 +2,28 @@
  * 旭日图引擎
  * ECharts旭日图渲染和交互控制
  */
+import { LayoutCalculator } from './LayoutCalculator.js';
+import { GapManager } from './GapManager.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+
+// ECharts按value分配扇区角度，布局后的value取角度的度数
+const DEGREES_PER_RADIAN = 180 / Math.PI;
+
+// 独立SVG文件的XML声明
+const SVG_XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
 class SunburstEngine {
     /**
      * 创建旭日图引擎
-     * @param {HTMLElement} container - 图表容器元素
+     * @param {HTMLElement|string} container - 图表容器元素或其ID
      * @param {Object} options - 配置选项
      */
     constructor(container, options = {}) {
+        if (typeof container === 'string') {
+            container = document.getElementById(container);
+        }
+        
         if (!container) {
             throw new Error('图表容器不能为空');
         }
@@ -17,17 +32,37 @@ class SunburstEngine {
         this.options = {
             theme: 'light-blue',
             animation: true,
-            gapAngle: 3, // 间隙角度
+            gapAngle: 3, // 间隙角度（其余间隙配置见GapManager，可通过gapOptions传入）
+            gapOptions: {},
+            layoutMode: 'equal', // 扇区大小模式：equal | value | leafCount | subtreeSize
             showLabel: true,
             showTooltip: true,
             enableHighlight: true,
+            enableDrag: true, // 拖拽扇区移动节点
+            dragThreshold: 5, // 触发拖拽的最小移动距离（像素）
+            selectionBorderColor: '#ffffff', // 多选节点的边框颜色
+            selectionBorderWidth: 3,
+            radius: ['15%', '90%'], // 缩放比例为1时的内外半径
+            enableZoom: true, // 滚轮/双指缩放
+            enablePan: true, // 拖动空白处平移
+            minZoom: 0.25,
+            maxZoom: 8,
+            zoomStep: 1.2, // 每次放大/缩小的倍数
             ...options
         };
         
         this.chart = null;
         this.data = [];
+        this.renderedData = []; // 应用间隙后、应用选中样式前的数据
         this.selectedNode = null;
+        this.selectedNodes = new Set(); // 多选节点ID
         this.highlightedNode = null;
+        this.focusedNodeId = null; // 当前下钻聚焦的节点（null表示显示全部）
+        this.dragState = null;
+        this.panState = null;
+        this.viewport = { zoom: 1, panX: 0, panY: 0 }; // 缩放比例和圆心相对容器中心的偏移（像素）
+        this.layoutCalculator = new LayoutCalculator({ layoutMode: this.options.layoutMode });
+        this.gapManager = new GapManager({ gapAngle: this.options.gapAngle, ...this.options.gapOptions });
         
         // 事件监听器
         this.eventListeners = new Map();
@@ -65,9 +100,25 @@ class SunburstEngine {
     
     /**
      * 设置基础配置
+     * @returns {Object} 应用的配置
      */
     setBaseOption() {
-        const baseOption = {
+        const baseOption = this.getBaseOption();
+        
+        if (this.chart) {
+            this.chart.setOption(baseOption, true);
+        }
+        
+        return baseOption;
+    }
+    
+    /**
+     * 获取基础配置
+     * @param {Object} viewport - 视图（缩放比例和平移），默认为当前视图
+     * @returns {Object} ECharts配置
+     */
+    getBaseOption(viewport = this.viewport) {
+        return {
             backgroundColor: 'transparent',
             tooltip: {
                 show: this.options.showTooltip,
@@ -77,7 +128,7 @@ class SunburstEngine {
             series: [{
                 type: 'sunburst',
                 nodeClick: 'rootToNode', // 点击节点跳转到该节点
-                radius: ['15%', '90%'],
+                ...this.getViewportOption(viewport),
                 sort: null, // 保持原始顺序
                 emphasis: {
                     focus: 'ancestor',
@@ -86,7 +137,6 @@ class SunburstEngine {
                         shadowColor: 'rgba(0, 0, 0, 0.5)'
                     }
                 },
-                levels: this.getLevelsConfig(),
                 label: {
                     show: this.options.showLabel,
                     rotate: 'radial',
@@ -109,20 +159,15 @@ class SunburstEngine {
                 }
             }]
         };
-        
-        if (this.chart) {
-            this.chart.setOption(baseOption, true);
-        }
-        
-        return baseOption;
     }
     
     /**
-     * 获取层级配置
+     * 获取层级配置（半径已按缩放比例换算）
+     * @param {number} zoom - 缩放比例，默认为当前缩放比例
      * @returns {Array} 层级配置数组
      */
-    getLevelsConfig() {
-        return [
+    getLevelsConfig(zoom = this.viewport.zoom) {
+        const levels = this.gapManager.applyRingGap([
             {}, // 第0层使用默认配置
             {
                 r0: '15%',
@@ -164,7 +209,54 @@ class SunburstEngine {
                     silent: false
                 }
             }
-        ];
+        ]);
+        
+        return levels.map(level => {
+            if (level.r0 === undefined || level.r === undefined) {
+                return level;
+            }
+            
+            return {
+                ...level,
+                r0: this.scaleRadius(level.r0, zoom),
+                r: this.scaleRadius(level.r, zoom)
+            };
+        });
+    }
+    
+    /**
+     * 按缩放比例换算半径
+     * @param {string|number} radius - 百分比字符串或像素值
+     * @param {number} zoom - 缩放比例，默认为当前缩放比例
+     * @returns {string|number} 换算后的半径
+     */
+    scaleRadius(radius, zoom = this.viewport.zoom) {
+        if (typeof radius === 'string' && radius.endsWith('%')) {
+            return `${parseFloat(radius) * zoom}%`;
+        }
+        
+        return typeof radius === 'number' ? radius * zoom : radius;
+    }
+    
+    /**
+     * 获取缩放和平移对应的系列配置
+     * @param {Object} viewport - 视图（缩放比例和平移），默认为当前视图
+     * @returns {Object} 包含radius、center和levels的系列配置
+     */
+    getViewportOption(viewport = this.viewport) {
+        const { zoom, panX, panY } = viewport;
+        
+        // 未平移时使用百分比，容器大小变化后仍然居中
+        let center = ['50%', '50%'];
+        if (this.chart && (panX !== 0 || panY !== 0)) {
+            center = [this.chart.getWidth() / 2 + panX, this.chart.getHeight() / 2 + panY];
+        }
+        
+        return {
+            radius: this.options.radius.map(radius => this.scaleRadius(radius, zoom)),
+            center,
+            levels: this.getLevelsConfig(zoom)
+        };
     }
     
     /**
@@ -175,79 +267,447 @@ class SunburstEngine {
     setData(data, applyGaps = true) {
         this.data = data;
         
+        // 按布局模式分配角度，需要间隙时为间隙预留角度
+        const withGaps = applyGaps && this.gapManager.options.enableGaps;
+        let processedData = this.allocateAngles(data, withGaps);
+        
         // 应用间隙（如果需要）
-        let processedData = data;
-        if (applyGaps && this.options.gapAngle > 0) {
-            processedData = this.applyGaps(data, this.options.gapAngle);
+        if (withGaps) {
+            processedData = this.gapManager.insertGaps(processedData);
         }
         
+        this.renderedData = processedData;
+        
         // 更新图表
         if (this.chart) {
             this.chart.setOption({
                 series: [{
-                    data: processedData
+                    data: this.applySelectionStyle(processedData)
                 }]
             });
         }
         
         // 触发事件
         this.emit('dataChanged', { data: processedData, originalData: data });
+        
+        // 新数据会重置ECharts的下钻状态，需要重新聚焦；聚焦的节点已不可见时回到全部视图
+        if (this.focusedNodeId) {
+            if (this.hasRenderedNode(this.focusedNodeId)) {
+                this.applyFocus();
+            } else {
+                this.focusedNodeId = null;
+                this.emit('focusChanged', { nodeId: null, source: 'data' });
+            }
+        }
     }
     
     /**
-     * 应用间隙到数据
-     * @param {Array} data - 原始数据
-     * @param {number} gapAngle - 间隙角度（度）
-     * @returns {Array} 包含间隙的数据
+     * 下钻聚焦到节点（以该节点为中心显示其子树）
+     * @param {string|null} nodeId - 节点ID，为null时回到全部视图
+     * @returns {boolean} 是否成功聚焦（节点不存在或被折叠隐藏时返回false）
+     */
+    focusNode(nodeId = null) {
+        if (nodeId && !this.hasRenderedNode(nodeId)) {
+            console.warn(`无法聚焦到未显示的节点: ${nodeId}`);
+            return false;
+        }
+        
+        if (nodeId === this.focusedNodeId) {
+            return true;
+        }
+        
+        this.focusedNodeId = nodeId;
+        this.applyFocus();
+        this.emit('focusChanged', { nodeId, source: 'api' });
+        
+        return true;
+    }
+    
+    /**
+     * 获取当前聚焦的节点ID
+     * @returns {string|null} 节点ID，显示全部时为null
      */
-    applyGaps(data, gapAngle = 3) {
-        const gapRadians = (gapAngle * Math.PI) / 180;
+    getFocusedNode() {
+        return this.focusedNodeId;
+    }
+    
+    /**
+     * 将focusedNodeId应用到图表
+     */
+    applyFocus() {
+        if (!this.chart) return;
+        
+        if (this.focusedNodeId) {
+            this.chart.dispatchAction({
+                type: 'sunburstRootToNode',
+                seriesIndex: 0,
+                targetNode: this.focusedNodeId
+            });
+        } else {
+            // 重新设置数据即回到根视图
+            this.chart.setOption({
+                series: [{
+                    data: this.applySelectionStyle(this.renderedData)
+                }]
+            });
+        }
+    }
+    
+    /**
+     * 处理ECharts的下钻/返回（点击扇区或中心）
+     * @param {Object} payload - sunburstRootToNode动作参数
+     */
+    handleRootToNode(payload) {
+        const target = payload.targetNode;
+        
+        // 点击中心返回时目标为虚拟根节点（depth为0）
+        let nodeId = null;
+        if (typeof target === 'string') {
+            nodeId = target;
+        } else if (target && target.depth > 0 && typeof target.getId === 'function') {
+            nodeId = target.getId();
+        }
+        
+        if (nodeId === this.focusedNodeId) return;
         
-        const processNode = (node, parentAngleRange = 2 * Math.PI, parentStartAngle = 0) => {
-            if (!node.children || node.children.length === 0) {
-                return node;
+        this.focusedNodeId = nodeId;
+        this.emit('focusChanged', { nodeId, source: 'chart' });
+    }
+    
+    /**
+     * 检查节点是否在当前绘制的数据中（被折叠的节点不在其中）
+     * @param {string} nodeId - 节点ID
+     * @returns {boolean} 是否已绘制
+     */
+    hasRenderedNode(nodeId) {
+        return this.findRenderedNode(nodeId) !== null;
+    }
+    
+    /**
+     * 在当前绘制的数据中查找节点
+     * @param {string} nodeId - 节点ID
+     * @param {Array} data - 要查找的数据，默认为当前绘制的数据
+     * @returns {Object|null} 绘制数据中的节点
+     */
+    findRenderedNode(nodeId, data = this.renderedData) {
+        const search = (nodes) => {
+            for (const node of nodes) {
+                if (node.id === nodeId) return node;
+                
+                const found = node.children ? search(node.children) : null;
+                if (found) return found;
             }
+            return null;
+        };
+        
+        return search(data);
+    }
+    
+    /**
+     * 设置缩放比例
+     * @param {number} zoom - 缩放比例（1为原始大小），超出minZoom/maxZoom时取边界值
+     * @param {Object} origin - 缩放中心 { x, y }（容器内像素坐标），该点在缩放前后位置不变；省略时以圆心为中心
+     * @returns {number} 实际的缩放比例
+     */
+    setZoom(zoom, origin = null) {
+        const oldZoom = this.viewport.zoom;
+        const newZoom = MathUtils.clamp(Number(zoom) || 1, this.options.minZoom, this.options.maxZoom);
+        
+        if (newZoom === oldZoom) {
+            return newZoom;
+        }
+        
+        if (origin && this.chart) {
+            const halfWidth = this.chart.getWidth() / 2;
+            const halfHeight = this.chart.getHeight() / 2;
+            const ratio = newZoom / oldZoom;
+            const centerX = halfWidth + this.viewport.panX;
+            const centerY = halfHeight + this.viewport.panY;
+            
+            this.viewport.panX = origin.x - (origin.x - centerX) * ratio - halfWidth;
+            this.viewport.panY = origin.y - (origin.y - centerY) * ratio - halfHeight;
+        }
+        
+        this.viewport.zoom = newZoom;
+        this.applyViewport();
+        
+        return newZoom;
+    }
+    
+    /**
+     * 获取当前缩放比例
+     * @returns {number} 缩放比例
+     */
+    getZoom() {
+        return this.viewport.zoom;
+    }
+    
+    /**
+     * 获取当前视图（缩放比例和平移偏移）
+     * @returns {Object} { zoom, panX, panY }
+     */
+    getViewport() {
+        return { ...this.viewport };
+    }
+    
+    /**
+     * 放大一级
+     * @param {Object} origin - 缩放中心（可选）
+     * @returns {number} 缩放比例
+     */
+    zoomIn(origin = null) {
+        return this.setZoom(this.viewport.zoom * this.options.zoomStep, origin);
+    }
+    
+    /**
+     * 缩小一级
+     * @param {Object} origin - 缩放中心（可选）
+     * @returns {number} 缩放比例
+     */
+    zoomOut(origin = null) {
+        return this.setZoom(this.viewport.zoom / this.options.zoomStep, origin);
+    }
+    
+    /**
+     * 平移图表
+     * @param {number} dx - 水平偏移（像素）
+     * @param {number} dy - 垂直偏移（像素）
+     */
+    panBy(dx, dy) {
+        if (!dx && !dy) return;
+        
+        this.viewport.panX += dx;
+        this.viewport.panY += dy;
+        this.applyViewport();
+    }
+    
+    /**
+     * 恢复原始大小并居中
+     */
+    resetZoom() {
+        this.viewport = { zoom: 1, panX: 0, panY: 0 };
+        this.applyViewport();
+    }
+    
+    /**
+     * 缩放到完整显示当前绘制的所有扇区
+     * @returns {boolean} 是否成功
+     */
+    zoomToFit() {
+        const layouts = this.getSectorLayouts();
+        if (layouts.length === 0) {
+            this.resetZoom();
+            return false;
+        }
+        
+        this.fitSectors(layouts);
+        return true;
+    }
+    
+    /**
+     * 缩放到指定节点，使其扇区居中并尽量填满视图
+     * @param {Array<string>|string} nodeIds - 节点ID（多个节点时显示它们的整体范围）
+     * @returns {boolean} 是否成功（节点都未显示时返回false）
+     */
+    zoomToNodes(nodeIds) {
+        const ids = new Set(Array.isArray(nodeIds) ? nodeIds : [nodeIds]);
+        const layouts = this.getSectorLayouts(ids);
+        
+        if (layouts.length === 0) {
+            console.warn('无法缩放到未显示的节点');
+            return false;
+        }
+        
+        this.fitSectors(layouts);
+        return true;
+    }
+    
+    /**
+     * 获取扇区的绘制布局
+     * @param {Set<string>} nodeIds - 只返回这些节点的布局，省略时返回全部
+     * @returns {Array<Object>} 布局 { cx, cy, r0, r, startAngle, endAngle }（像素和弧度）
+     */
+    getSectorLayouts(nodeIds = null) {
+        if (!this.chart || typeof this.chart.getModel !== 'function') {
+            return [];
+        }
+        
+        const seriesModel = this.chart.getModel().getSeriesByIndex(0);
+        if (!seriesModel) {
+            return [];
+        }
+        
+        // 布局由ECharts计算，已包含下钻、层级半径和当前缩放
+        const seriesData = seriesModel.getData();
+        const layouts = [];
+        
+        for (let index = 0; index < seriesData.count(); index++) {
+            const layout = seriesData.getItemLayout(index);
+            if (!layout || layout.r <= 0) continue;
+            if (nodeIds && !nodeIds.has(seriesData.getId(index))) continue;
             
-            const childrenCount = node.children.length;
-            const totalGapAngle = gapRadians * childrenCount;
-            const childAngle = (parentAngleRange - totalGapAngle) / childrenCount;
+            layouts.push(layout);
+        }
+        
+        return layouts;
+    }
+    
+    /**
+     * 缩放并平移，使扇区的外接矩形居中并填满视图
+     * @param {Array<Object>} layouts - 扇区布局
+     * @param {number} padding - 外接矩形占视图的比例
+     */
+    fitSectors(layouts, padding = 0.9) {
+        const zoom = this.viewport.zoom;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        
+        // 换算到缩放比例为1、以圆心为原点的坐标
+        const addPoint = (radius, angle) => {
+            const x = radius * Math.cos(angle) / zoom;
+            const y = radius * Math.sin(angle) / zoom;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        };
+        
+        layouts.forEach(layout => {
+            const start = Math.min(layout.startAngle, layout.endAngle);
+            const end = Math.max(layout.startAngle, layout.endAngle);
             
-            const newChildren = [];
-            let currentAngle = parentStartAngle;
+            // 外接矩形由两端和经过的坐标轴方向决定
+            const angles = [start, end];
+            for (let angle = Math.ceil(start / (Math.PI / 2)) * (Math.PI / 2); angle < end; angle += Math.PI / 2) {
+                angles.push(angle);
+            }
             
-            node.children.forEach((child, index) => {
-                // 设置子节点角度
-                child.startAngle = currentAngle;
-                child.angleRange = childAngle;
-                currentAngle += childAngle;
-                
-                // 递归处理子节点
-                newChildren.push(processNode(child, childAngle, child.startAngle));
-                
-                // 插入间隙节点（最后一个不插）
-                if (index < childrenCount - 1) {
-                    const gapNode = {
-                        name: '',
-                        value: 0,
-                        itemStyle: {
-                            color: 'transparent',
-                            borderWidth: 0
-                        },
-                        startAngle: currentAngle,
-                        angleRange: gapRadians,
-                        children: [],
-                        isGap: true
-                    };
-                    currentAngle += gapRadians;
-                    newChildren.push(gapNode);
-                }
+            angles.forEach(angle => {
+                addPoint(layout.r, angle);
+                addPoint(layout.r0 || 0, angle);
             });
+        });
+        
+        const width = Math.max(maxX - minX, 1);
+        const height = Math.max(maxY - minY, 1);
+        const newZoom = MathUtils.clamp(
+            Math.min(this.chart.getWidth() * padding / width, this.chart.getHeight() * padding / height),
+            this.options.minZoom,
+            this.options.maxZoom
+        );
+        
+        this.viewport = {
+            zoom: newZoom,
+            panX: -newZoom * (minX + maxX) / 2,
+            panY: -newZoom * (minY + maxY) / 2
+        };
+        this.applyViewport();
+    }
+    
+    /**
+     * 将缩放和平移应用到图表
+     */
+    applyViewport() {
+        if (this.chart) {
+            this.chart.setOption({
+                series: [this.getViewportOption()]
+            });
+            
+            // 修改系列配置会重置ECharts的下钻状态
+            if (this.focusedNodeId) {
+                this.applyFocus();
+            }
+        }
+        
+        this.emit('zoomChanged', this.getViewport());
+    }
+    
+    /**
+     * 按布局模式分配每个节点的角度（返回新数据，不修改原数据）
+     * 根节点平分整圆，子节点按权重分配父节点的角度，兄弟节点之间为间隙预留角度；
+     * 节点的value改为角度的度数，使ECharts按分配结果绘制，原始值保存在rawValue中
+     * @param {Array} data - 原始数据
+     * @param {boolean} withGaps - 是否按GapManager的配置为间隙预留角度
+     * @returns {Array} 带 startAngle、angleRange 的数据副本
+     */
+    allocateAngles(data, withGaps = false) {
+        const allocate = (nodes, startAngle, angleRange, depth) => {
+            const gapAngle = withGaps ? this.gapManager.getGapAngle(depth, nodes.length) : 0;
+            const gapRadians = (gapAngle * Math.PI) / 180;
+            const allocations = this.layoutCalculator.allocateAngles(nodes, startAngle, angleRange, gapRadians);
             
-            node.children = newChildren;
-            return node;
+            return nodes.map((node, index) => {
+                const { startAngle: nodeStart, angleRange: nodeRange } = allocations[index];
+                return {
+                    ...node,
+                    rawValue: node.value,
+                    value: nodeRange * DEGREES_PER_RADIAN,
+                    startAngle: nodeStart,
+                    angleRange: nodeRange,
+                    children: allocate(node.children || [], nodeStart, nodeRange, depth + 1)
+                };
+            });
         };
         
-        return data.map(node => processNode(node));
+        return allocate(data, 0, 2 * Math.PI, 0);
+    }
+    
+    /**
+     * 更新间隙配置并重新绘制
+     * @param {Object} config - 间隙配置（gapAngle、gapColor、gapOpacity、enableGaps、minChildrenForGap、levelGapAngles、ringGap）
+     */
+    setGapConfig(config) {
+        this.gapManager.updateConfig(config);
+        this.options.gapAngle = this.gapManager.options.gapAngle;
+        
+        // 环间间隙体现在层级半径上
+        if (this.chart) {
+            this.chart.setOption({
+                series: [{
+                    levels: this.getLevelsConfig()
+                }]
+            });
+        }
+        
+        if (this.data.length > 0) {
+            this.setData(this.data);
+        }
+        
+        this.emit('gapConfigChanged', { config: this.getGapConfig() });
+    }
+    
+    /**
+     * 获取当前间隙配置
+     * @returns {Object} 间隙配置
+     */
+    getGapConfig() {
+        const { gapNodes, ...config } = this.gapManager.exportConfig();
+        return config;
+    }
+    
+    /**
+     * 设置扇区大小模式并重新绘制
+     * @param {string} mode - 'equal'（均分）、'value'（按节点值）、'leafCount'（按叶子数）或 'subtreeSize'（按子树节点数）
+     */
+    setLayoutMode(mode) {
+        this.layoutCalculator.setLayoutMode(mode);
+        this.options.layoutMode = mode;
+        
+        if (this.data.length > 0) {
+            this.setData(this.data);
+        }
+        
+        this.emit('layoutModeChanged', { mode });
+    }
+    
+    /**
+     * 获取当前扇区大小模式
+     * @returns {string} 布局模式
+     */
+    getLayoutMode() {
+        return this.options.layoutMode;
     }
     
     /**
@@ -338,6 +798,62 @@ class SunburstEngine {
         });
     }
     
+    /**
+     * 设置多选节点，选中的扇区以边框标出
+     * @param {Array<string>} nodeIds - 节点ID数组
+     * @param {boolean} render - 是否立即重绘（随后会调用setData时可传false）
+     */
+    setSelectedNodes(nodeIds, render = true) {
+        this.selectedNodes = new Set(nodeIds);
+        
+        if (render && this.chart) {
+            this.chart.setOption({
+                series: [{
+                    data: this.applySelectionStyle(this.renderedData)
+                }]
+            });
+            
+            if (this.focusedNodeId) {
+                this.applyFocus();
+            }
+        }
+        
+        this.emit('selectionChanged', { nodeIds: [...this.selectedNodes] });
+    }
+    
+    /**
+     * 为选中节点添加边框样式
+     * @param {Array} data - 旭日图数据
+     * @returns {Array} 带选中样式的数据副本（没有选中节点时返回原数据）
+     */
+    applySelectionStyle(data) {
+        if (this.selectedNodes.size === 0) {
+            return data;
+        }
+        
+        const styleNode = (node) => {
+            const styledNode = { ...node };
+            
+            if (node.id && this.selectedNodes.has(node.id)) {
+                styledNode.itemStyle = {
+                    ...node.itemStyle,
+                    borderColor: this.options.selectionBorderColor,
+                    borderWidth: this.options.selectionBorderWidth,
+                    shadowBlur: 10,
+                    shadowColor: 'rgba(0, 0, 0, 0.6)'
+                };
+            }
+            
+            if (node.children) {
+                styledNode.children = node.children.map(styleNode);
+            }
+            
+            return styledNode;
+        };
+        
+        return data.map(styleNode);
+    }
+    
     /**
      * 查找节点索引
      * @param {string} nodeId - 节点ID
@@ -387,6 +903,11 @@ class SunburstEngine {
     resize() {
         if (this.chart) {
             this.chart.resize();
+            
+            // 平移后的圆心是像素坐标，需要按新尺寸重新计算
+            if (this.viewport.panX !== 0 || this.viewport.panY !== 0) {
+                this.applyViewport();
+            }
         }
     }
     
@@ -411,21 +932,22 @@ class SunburstEngine {
             }
         });
         
-        // 右键事件
+        // 下钻/返回事件
+        this.chart.on('sunburstRootToNode', (payload) => this.handleRootToNode(payload));
+        
+        // 右键事件（屏蔽整个图表区域的浏览器菜单）
         this.chart.getZr().on('contextmenu', (event) => {
             event.event.preventDefault();
-            
-            const point = [event.event.offsetX, event.event.offsetY];
-            const dataIndex = this.chart.convertFromPixel('series', point);
-            
-            if (dataIndex && dataIndex.dataIndex !== undefined) {
-                // 查找对应的节点
-                const node = this.findNodeByIndex(dataIndex.dataIndex);
-                if (node) {
+        });
+        
+        this.chart.on('contextmenu', (params) => {
+            if (params.componentType === 'series' && params.seriesType === 'sunburst') {
+                const nodeId = params.data?.id;
+                if (nodeId) {
                     this.emit('nodeRightClicked', {
-                        nodeId: node.id,
-                        nodeName: node.name,
-                        event: event.event
+                        nodeId,
+                        nodeName: params.data.name,
+                        event: params.event.event
                     });
                 }
             }
@@ -447,6 +969,156 @@ class SunburstEngine {
         this.chart.on('mouseout', (params) => {
             this.emit('nodeMouseOut');
         });
+        
+        // 拖拽事件
+        if (this.options.enableDrag) {
+            this.bindDragEvents();
+        }
+        
+        // 缩放和平移
+        this.bindViewportEvents();
+    }
+    
+    /**
+     * 绑定缩放和平移事件（滚轮、双指缩放、拖动空白处平移）
+     */
+    bindViewportEvents() {
+        const zr = this.chart.getZr();
+        
+        zr.on('mousewheel', (event) => {
+            if (!this.options.enableZoom) return;
+            
+            event.event.preventDefault();
+            const origin = { x: event.offsetX, y: event.offsetY };
+            if (event.wheelDelta > 0) {
+                this.zoomIn(origin);
+            } else if (event.wheelDelta < 0) {
+                this.zoomOut(origin);
+            }
+        });
+        
+        zr.on('pinch', (event) => {
+            if (!this.options.enableZoom) return;
+            
+            this.setZoom(this.viewport.zoom * event.pinchScale, { x: event.pinchX, y: event.pinchY });
+        });
+        
+        // 按下空白处（不在扇区上）开始平移，按下扇区仍用于拖拽节点
+        zr.on('mousedown', (event) => {
+            if (!this.options.enablePan || event.target) return;
+            
+            this.panState = { lastX: event.offsetX, lastY: event.offsetY };
+            this.container.style.cursor = 'grabbing';
+        });
+        
+        zr.on('mousemove', (event) => {
+            if (!this.panState) return;
+            
+            // 双指操作由pinch处理
+            const touches = event.event && event.event.touches;
+            if (touches && touches.length > 1) return;
+            
+            const dx = event.offsetX - this.panState.lastX;
+            const dy = event.offsetY - this.panState.lastY;
+            this.panState.lastX = event.offsetX;
+            this.panState.lastY = event.offsetY;
+            this.panBy(dx, dy);
+        });
+        
+        const endPan = () => {
+            if (!this.panState) return;
+            
+            this.panState = null;
+            this.container.style.cursor = '';
+        };
+        zr.on('mouseup', endPan);
+        zr.on('globalout', endPan);
+    }
+    
+    /**
+     * 绑定拖拽事件（将扇区拖放到另一扇区上以移动节点）
+     */
+    bindDragEvents() {
+        const zr = this.chart.getZr();
+        
+        // 按下扇区时记录拖拽源
+        this.chart.on('mousedown', (params) => {
+            if (params.componentType !== 'series' || params.seriesType !== 'sunburst') return;
+            
+            const node = params.data;
+            if (!node || !node.id || node.isGap) return;
+            
+            this.dragState = {
+                sourceId: node.id,
+                sourceName: node.name,
+                startX: params.event.offsetX,
+                startY: params.event.offsetY,
+                targetId: null,
+                dragging: false
+            };
+        });
+        
+        // 移动超过阈值后进入拖拽状态
+        zr.on('mousemove', (event) => {
+            if (!this.dragState || this.dragState.dragging) return;
+            
+            const dx = event.offsetX - this.dragState.startX;
+            const dy = event.offsetY - this.dragState.startY;
+            if (Math.sqrt(dx * dx + dy * dy) < this.options.dragThreshold) return;
+            
+            this.dragState.dragging = true;
+            this.container.style.cursor = 'move';
+            this.emit('nodeDragStart', { nodeId: this.dragState.sourceId });
+        });
+        
+        // 拖拽经过扇区时更新放置目标
+        this.chart.on('mouseover', (params) => {
+            if (!this.dragState || !this.dragState.dragging) return;
+            
+            const node = params.data;
+            const targetId = node && !node.isGap ? node.id : null;
+            this.dragState.targetId = targetId !== this.dragState.sourceId ? targetId : null;
+            
+            if (this.dragState.targetId) {
+                this.emit('nodeDragOver', {
+                    sourceId: this.dragState.sourceId,
+                    targetId: this.dragState.targetId
+                });
+            }
+        });
+        
+        this.chart.on('mouseout', () => {
+            if (this.dragState && this.dragState.dragging) {
+                this.dragState.targetId = null;
+            }
+        });
+        
+        // 松开鼠标时完成放置
+        zr.on('mouseup', () => {
+            const dragState = this.dragState;
+            this.dragState = null;
+            
+            if (!dragState || !dragState.dragging) return;
+            
+            this.container.style.cursor = '';
+            
+            if (dragState.targetId) {
+                this.emit('nodeDropped', {
+                    sourceId: dragState.sourceId,
+                    targetId: dragState.targetId
+                });
+            } else {
+                this.emit('nodeDragCancel', { nodeId: dragState.sourceId });
+            }
+        });
+        
+        zr.on('globalout', () => {
+            if (this.dragState && this.dragState.dragging) {
+                this.container.style.cursor = '';
+                this.emit('nodeDragCancel', { nodeId: this.dragState.sourceId });
+            }
+            this.dragState = null;
+        });
     }
     
     /**
@@ -486,8 +1158,10 @@ class SunburstEngine {
         
         let html = `<div style="font-weight: bold; margin-bottom: 5px;">${node.name}</div>`;
         
-        if (node.value !== undefined && node.value !== 1) {
-            html += `<div>值: ${node.value}</div>`;
+        // 布局后的value是角度，原始值保存在rawValue中
+        const value = node.rawValue !== undefined ? node.rawValue : node.value;
+        if (value !== undefined && value !== 1) {
+            html += `<div>值: ${value}</div>`;
         }
         
         if (node.depth !== undefined) {
@@ -499,6 +1173,10 @@ class SunburstEngine {
             html += `<div>子节点数: ${childCount}</div>`;
         }
         
+        if (node.collapsed) {
+            html += `<div>已折叠: ${node.childCount}个子节点，共${node.hiddenCount}个后代节点</div>`;
+        }
+        
         return html;
     }
     
@@ -520,13 +1198,16 @@ class SunburstEngine {
             return '';
         }
         
+        // 折叠的节点在名称后显示子节点数徽标
+        const badge = node.collapsed ? ` ⊕${node.childCount}` : '';
+        
         // 截断长名称
-        const maxLength = Math.floor(params.angleRange * 10); // 根据角度动态调整
+        const maxLength = Math.floor(params.angleRange * 10) - badge.length; // 根据角度动态调整
         if (node.name.length > maxLength && maxLength > 3) {
-            return node.name.substring(0, maxLength - 2) + '...';
+            return node.name.substring(0, maxLength - 2) + '...' + badge;
         }
         
-        return node.name;
+        return node.name + badge;
     }
     
     /**
@@ -565,6 +1246,270 @@ class SunburstEngine {
         return this.data;
     }
     
+    /**
+     * 导出PNG图片并下载
+     * @param {string} filename - 文件名
+     * @param {Object} options - 导出选项，见renderImage
+     * @returns {Promise<string>} 图片的dataURL
+     */
+    exportToPNG(filename = 'sunburst-mindmap.png', options = {}) {
+        return this.renderImage(options).then(dataURL => {
+            DOMUtils.downloadURL(dataURL, filename);
+            return dataURL;
+        });
+    }
+    
+    /**
+     * 导出SVG矢量图并下载
+     * @param {string} filename - 文件名
+     * @param {Object} options - 导出选项，见renderImage（pixelRatio不适用）
+     * @returns {Promise<string>} SVG文本
+     */
+    exportToSVG(filename = 'sunburst-mindmap.svg', options = {}) {
+        return this.renderSVG(options).then(svg => {
+            DOMUtils.downloadFile(svg, filename, 'image/svg+xml;charset=utf-8');
+            return svg;
+        });
+    }
+    
+    /**
+     * 用SVG渲染器在离屏图表中绘制独立的SVG文档
+     * 不包含间隙扇区（扇区之间以边框分隔），颜色和背景直接写入元素属性，不依赖页面样式
+     * @param {Object} options - 导出选项，见renderImage（pixelRatio不适用）
+     * @returns {Promise<string>} SVG文本
+     */
+    renderSVG(options = {}) {
+        return new Promise((resolve) => {
+            const settings = this.getExportSettings({ ...options, includeGaps: false });
+            const svg = this.withExportChart('svg', settings, chart => chart.renderToSVGString());
+            
+            resolve(SVG_XML_DECLARATION + svg);
+        });
+    }
+    
+    /**
+     * 在离屏图表中绘制图片（不受当前缩放、平移和选中状态影响）
+     * @param {Object} options - 导出选项
+     * @param {string} options.imageType - 'png'（默认）或 'jpeg'
+     * @param {number} options.pixelRatio - 像素比（2表示两倍分辨率）
+     * @param {string} options.background - 'theme'（主题背景色）、'transparent' 或颜色值
+     * @param {string} options.title - 标题，为空时不显示
+     * @param {boolean} options.showLegend - 是否显示第一层分支的图例
+     * @param {string} options.scope - 'all'（全部）或 'focused'（当前下钻的子树）
+     * @param {string} options.rootNodeId - 只导出该节点的子树（优先于scope）
+     * @param {boolean} options.includeGaps - 是否包含间隙扇区，默认包含
+     * @param {number} options.width - 图片宽度（CSS像素），默认与图表相同
+     * @param {number} options.height - 图片高度（CSS像素），默认与图表相同
+     * @returns {Promise<string>} 图片的dataURL
+     */
+    renderImage(options = {}) {
+        return new Promise((resolve) => {
+            const settings = this.getExportSettings(options);
+            
+            resolve(this.withExportChart('canvas', settings, chart => chart.getDataURL({
+                type: settings.imageType,
+                pixelRatio: settings.pixelRatio,
+                backgroundColor: settings.backgroundColor
+            })));
+        });
+    }
+    
+    /**
+     * 补全导出选项并解析主题颜色
+     * @param {Object} options - 导出选项
+     * @returns {Object} 完整的导出设置
+     */
+    getExportSettings(options = {}) {
+        const settings = {
+            imageType: 'png',
+            pixelRatio: 2,
+            background: 'theme',
+            title: '',
+            showLegend: false,
+            scope: 'all',
+            rootNodeId: null,
+            includeGaps: true,
+            width: this.chart ? this.chart.getWidth() : 800,
+            height: this.chart ? this.chart.getHeight() : 600,
+            ...options
+        };
+        
+        settings.backgroundColor = settings.background === 'theme'
+            ? this.getThemeColor('--color-background-primary', '#ffffff')
+            : settings.background;
+        settings.textColor = this.getThemeColor('--color-text-primary', '#333333');
+        
+        return settings;
+    }
+    
+    /**
+     * 读取主题CSS变量
+     * @param {string} name - 变量名
+     * @param {string} fallback - 未定义时的默认值
+     * @returns {string} 颜色值
+     */
+    getThemeColor(name, fallback) {
+        if (typeof document === 'undefined' || typeof getComputedStyle === 'undefined') {
+            return fallback;
+        }
+        
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+    }
+    
+    /**
+     * 获取导出的数据
+     * @param {string} scope - 'all' 或 'focused'，未下钻时导出全部
+     * @param {boolean} includeGaps - 是否包含间隙扇区，为false时按无间隙重新分配角度
+     * @param {string|null} rootNodeId - 只导出该节点的子树（优先于scope）
+     * @returns {Array} 旭日图数据（不含选中样式）
+     */
+    getExportData(scope = 'all', includeGaps = true, rootNodeId = null) {
+        const data = includeGaps ? this.renderedData : this.allocateAngles(this.data, false);
+        const subtreeRootId = rootNodeId || (scope === 'focused' ? this.focusedNodeId : null);
+        
+        if (subtreeRootId) {
+            const node = this.findRenderedNode(subtreeRootId, data);
+            if (node) {
+                return [node];
+            }
+        }
+        
+        return data;
+    }
+    
+    /**
+     * 获取导出用的图表配置
+     * @param {Object} settings - 导出设置（见getExportSettings）
+     * @returns {Object} ECharts配置
+     */
+    getExportOption(settings) {
+        const data = this.getExportData(settings.scope, settings.includeGaps, settings.rootNodeId);
+        
+        // 有标题或图例时缩小图形，为它们留出位置
+        const framed = Boolean(settings.title) || settings.showLegend;
+        const option = this.getBaseOption({ zoom: framed ? 0.85 : 1, panX: 0, panY: 0 });
+        const series = option.series[0];
+        
+        series.data = data;
+        series.nodeClick = false;
+        series.animation = false;
+        series.center = [settings.showLegend ? '40%' : '50%', settings.title ? '54%' : '50%'];
+        option.backgroundColor = settings.backgroundColor;
+        option.tooltip = { show: false };
+        option.animation = false;
+        
+        if (settings.title) {
+            option.title = {
+                text: settings.title,
+                left: 'center',
+                top: 16,
+                textStyle: { color: settings.textColor, fontSize: 20 }
+            };
+        }
+        
+        if (settings.showLegend) {
+            option.graphic = [this.createLegendGraphic(data, settings.textColor)];
+        }
+        
+        return option;
+    }
+    
+    /**
+     * 创建图例（ECharts的legend组件不支持旭日图，用graphic绘制）
+     * @param {Array} data - 导出的数据
+     * @param {string} textColor - 文字颜色
+     * @returns {Object} graphic配置
+     */
+    createLegendGraphic(data, textColor) {
+        // 只有一个根节点时列出它的子节点，即图中的第一层分支
+        const hasSingleRoot = data.length === 1 && data[0].children && data[0].children.length > 0;
+        const branches = (hasSingleRoot ? data[0].children : data).filter(node => !node.isGap);
+        
+        return {
+            type: 'group',
+            right: 24,
+            top: 'middle',
+            children: branches.map((node, index) => ({
+                type: 'group',
+                y: index * 22,
+                children: [
+                    {
+                        type: 'rect',
+                        shape: { x: 0, y: 0, width: 12, height: 12, r: 2 },
+                        style: { fill: (node.itemStyle && node.itemStyle.color) || '#999999' }
+                    },
+                    {
+                        type: 'text',
+                        x: 20,
+                        y: 0,
+                        style: {
+                            text: node.name,
+                            fill: textColor,
+                            font: '13px sans-serif',
+                            verticalAlign: 'top'
+                        }
+                    }
+                ]
+            }))
+        };
+    }
+    
+    /**
+     * 创建离屏图表，绘制导出配置后交给render处理，完成后销毁
+     * @param {string} renderer - 'canvas' 或 'svg'
+     * @param {Object} settings - 导出设置
+     * @param {Function} render - (chart) => 结果
+     * @returns {*} render的返回值
+     */
+    withExportChart(renderer, settings, render) {
+        if (typeof echarts === 'undefined') {
+            throw new Error('ECharts未加载，无法导出');
+        }
+        
+        const container = document.createElement('div');
+        container.style.cssText = `position: absolute; left: -99999px; top: 0; width: ${settings.width}px; height: ${settings.height}px;`;
+        document.body.appendChild(container);
+        
+        const chart = echarts.init(container, this.options.theme, {
+            renderer,
+            width: settings.width,
+            height: settings.height
+        });
+        
+        try {
+            chart.setOption(this.getExportOption(settings));
+            return render(chart);
+        } finally {
+            chart.dispose();
+            container.remove();
+        }
+    }
+    
+    /**
+     * 在指定容器中绘制静态的缩略图（如导入预览），使用当前主题和布局模式，不影响主图表
+     * @param {HTMLElement} container - 容器（需要有宽高）
+     * @param {Array} data - 旭日图数据（与setData相同）
+     * @returns {Object} ECharts实例，不再需要时调用dispose()
+     */
+    renderPreview(container, data) {
+        if (typeof echarts === 'undefined') {
+            throw new Error('ECharts未加载，无法预览');
+        }
+        
+        const option = this.getBaseOption({ zoom: 1, panX: 0, panY: 0 });
+        const series = option.series[0];
+        
+        series.data = this.allocateAngles(data, false);
+        series.nodeClick = false;
+        series.animation = false;
+        series.label = { show: false };
+        
+        const chart = echarts.init(container, this.options.theme);
+        chart.setOption(option);
+        
+        return chart;
+    }
+    
     /**
      * 销毁图表
      */